@@ -0,0 +1,342 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Product } from "@/entities/Product";
+import { User } from "@/entities/User";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { Switch } from "@/components/ui/switch";
+import { Label } from "@/components/ui/label";
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs";
+import { Plus, Search, Pencil, Copy, Archive, ArchiveRestore, ShieldAlert, Star } from "lucide-react";
+import { useToast } from "@/components/ui/use-toast";
+import { Link } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+
+import ProductEditor from "../components/admin/ProductEditor";
+import BulkStockEditor from "../components/admin/BulkStockEditor";
+import CatalogImport from "../components/admin/CatalogImport";
+import CatalogExport from "../components/admin/CatalogExport";
+import { buildDuplicate } from "../components/admin/productForm";
+import { CATEGORY_LABELS } from "../components/shop/catalogFacets";
+import { formatMoney } from "../components/currency/money";
+import { runAlertJob } from "../components/alerts/alertJob";
+import { syncProductRatings } from "../components/reviews/ratingJob";
+import { syncSortNames } from "../components/admin/sortNameJob";
+import { loadFacetSource } from "../components/shop/catalogQuery";
+
+const isAdmin = (user) => user?.role === "admin";
+
+export default function Admin() {
+  const { toast } = useToast();
+  const [user, setUser] = useState(null);
+  const [products, setProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState("");
+  const [showArchived, setShowArchived] = useState(false);
+  const [editorOpen, setEditorOpen] = useState(false);
+  const [editingProduct, setEditingProduct] = useState(null);
+
+  const loadProducts = useCallback(async () => {
+    try {
+      const data = await Product.list("-updated_date");
+      setProducts(data);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: "Failed to load products",
+        variant: "destructive",
+      });
+    }
+  }, [toast]);
+
+  useEffect(() => {
+    const init = async () => {
+      try {
+        const currentUser = await User.me();
+        setUser(currentUser);
+        if (isAdmin(currentUser)) {
+          await syncProductRatings().catch(error => console.error("Failed to sync ratings:", error));
+          await syncSortNames().catch(error => console.error("Failed to sync sort names:", error));
+          await loadProducts();
+          runAlertJob().catch(error => console.error("Failed to check stock alerts:", error));
+        }
+      } catch (error) {
+        // User not logged in
+      } finally {
+        setLoading(false);
+      }
+    };
+    init();
+  }, [loadProducts]);
+
+  // The storefront caches the catalog; make it pick up admin changes. Stock
+  // and price edits to `changedIds` can also meet shoppers' back-in-stock and
+  // price alerts. Reviews written since the last run are caught up first.
+  const afterChange = async (changedIds = []) => {
+    await runAlertJob({ productIds: changedIds }).catch(error => console.error("Failed to check stock alerts:", error));
+    await syncProductRatings().catch(error => console.error("Failed to sync ratings:", error));
+    await loadProducts();
+    loadFacetSource({ force: true }).catch(() => {});
+  };
+
+  const openEditor = (product = null) => {
+    setEditingProduct(product);
+    setEditorOpen(true);
+  };
+
+  const handleSave = async (data) => {
+    try {
+      let changedIds = [];
+      if (editingProduct) {
+        await Product.update(editingProduct.id, data);
+        changedIds = [editingProduct.id];
+      } else {
+        await Product.create({ ...data, archived: false });
+      }
+      toast({
+        title: editingProduct ? "Product updated" : "Product created",
+        description: data.name,
+      });
+      setEditorOpen(false);
+      await afterChange(changedIds);
+    } catch (error) {
+      console.error("Failed to save product:", error);
+      toast({
+        title: "Error",
+        description: "Failed to save product",
+        variant: "destructive",
+      });
+      throw error;
+    }
+  };
+
+  const handleDuplicate = async (product) => {
+    try {
+      const copy = await Product.create(buildDuplicate(product));
+      toast({
+        title: "Product duplicated",
+        description: `${copy.name} was created as an archived draft.`,
+      });
+      setShowArchived(true);
+      await afterChange();
+    } catch (error) {
+      console.error("Failed to duplicate product:", error);
+      toast({
+        title: "Error",
+        description: "Failed to duplicate product",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const setArchived = async (product, archived) => {
+    try {
+      await Product.update(product.id, { archived });
+      toast({
+        title: archived ? "Product archived" : "Product restored",
+        description: archived
+          ? `${product.name} is hidden from the storefront.`
+          : `${product.name} is visible in the storefront again.`,
+      });
+      await afterChange(archived ? [] : [product.id]);
+    } catch (error) {
+      console.error("Failed to update product:", error);
+      toast({
+        title: "Error",
+        description: "Failed to update product",
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleStockSave = async (updates) => {
+    try {
+      await Promise.all(updates.map(update => Product.update(update.id, update.changes)));
+      toast({
+        title: "Stock updated",
+        description: `Updated stock for ${updates.length} ${updates.length === 1 ? "product" : "products"}.`,
+      });
+      await afterChange(updates.map(update => update.id));
+    } catch (error) {
+      console.error("Failed to update stock:", error);
+      toast({
+        title: "Error",
+        description: "Some stock changes could not be saved",
+        variant: "destructive",
+      });
+      await loadProducts();
+      throw error;
+    }
+  };
+
+  const handleImported = async (result) => {
+    toast({
+      title: "Import finished",
+      description: `${result.created} created, ${result.updated} updated` +
+        (result.failed.length > 0 ? `, ${result.failed.length} failed` : ""),
+      variant: result.failed.length > 0 ? "destructive" : undefined,
+    });
+    await afterChange(result.updatedIds);
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="animate-pulse space-y-4">
+          <div className="h-8 bg-gray-200 rounded w-64"></div>
+          {[1, 2, 3, 4, 5].map((i) => (
+            <div key={i} className="h-16 bg-gray-200 rounded"></div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (!isAdmin(user)) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
+        <div className="text-center">
+          <ShieldAlert className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Admins only</h2>
+          <p className="text-gray-600 mb-8">
+            {user ? "Your account doesn't have access to catalog management." : "Sign in with an admin account to manage the catalog."}
+          </p>
+          {user ? (
+            <Link to={createPageUrl("Shop")}>
+              <Button className="gold-gradient text-white">Back to Shop</Button>
+            </Link>
+          ) : (
+            <Button onClick={() => User.login()} className="gold-gradient text-white">
+              Sign In
+            </Button>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const term = searchTerm.trim().toLowerCase();
+  const visibleProducts = products.filter(product =>
+    (showArchived || !product.archived) &&
+    (!term || [product.name, product.brand, product.category].some(value => value?.toLowerCase().includes(term)))
+  );
+  const archivedCount = products.filter(product => product.archived).length;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Catalog</h1>
+          <p className="text-gray-600">
+            {products.length - archivedCount} live, {archivedCount} archived
+          </p>
+        </div>
+        <Button onClick={() => openEditor()} className="gold-gradient text-white">
+          <Plus className="w-4 h-4 mr-2" />
+          New Product
+        </Button>
+      </div>
+
+      <Tabs defaultValue="products">
+        <TabsList>
+          <TabsTrigger value="products">Products</TabsTrigger>
+          <TabsTrigger value="stock">Bulk Stock</TabsTrigger>
+          <TabsTrigger value="transfer">Import / Export</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="products" className="space-y-4">
+          <div className="flex flex-wrap items-center gap-4">
+            <div className="relative flex-1 min-w-[240px]">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-gray-400" />
+              <Input
+                placeholder="Search by name, brand or category"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                className="pl-9"
+              />
+            </div>
+            <div className="flex items-center gap-2">
+              <Switch id="show_archived" checked={showArchived} onCheckedChange={setShowArchived} />
+              <Label htmlFor="show_archived">Show archived</Label>
+            </div>
+          </div>
+
+          <div className="rounded-lg border border-gray-200 bg-white divide-y divide-gray-100">
+            {visibleProducts.length === 0 ? (
+              <p className="p-8 text-center text-gray-500">No products match.</p>
+            ) : (
+              visibleProducts.map(product => (
+                <div key={product.id} className={`flex items-center gap-4 p-4 ${product.archived ? "opacity-60" : ""}`}>
+                  <div className="w-14 h-14 rounded-md overflow-hidden bg-gray-100 flex-shrink-0">
+                    {product.image_url && (
+                      <img src={product.image_url} alt={product.name} className="w-full h-full object-cover" />
+                    )}
+                  </div>
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium text-gray-900 truncate">{product.name}</p>
+                      {product.featured && <Badge className="gold-gradient text-white border-0">Featured</Badge>}
+                      {product.archived && <Badge variant="secondary">Archived</Badge>}
+                    </div>
+                    <p className="text-sm text-gray-500">
+                      {[product.brand, CATEGORY_LABELS[product.category]].filter(Boolean).join(" · ")}
+                    </p>
+                  </div>
+                  <div className="hidden md:block w-24 text-right text-sm text-gray-900">
+                    {formatMoney(product.price)}
+                  </div>
+                  <div className="hidden md:block w-20 text-right text-sm text-gray-500">
+                    {typeof product.stock === "number" ? `${product.stock} in stock` : "—"}
+                  </div>
+                  <div className="hidden md:flex w-16 items-center justify-end gap-1 text-sm text-gray-500">
+                    {product.rating ? (
+                      <>
+                        <Star className="w-3.5 h-3.5 fill-yellow-400 text-yellow-400" />
+                        {product.rating}
+                      </>
+                    ) : "—"}
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <Button variant="ghost" size="icon" title="Edit" onClick={() => openEditor(product)}>
+                      <Pencil className="w-4 h-4" />
+                    </Button>
+                    <Button variant="ghost" size="icon" title="Duplicate" onClick={() => handleDuplicate(product)}>
+                      <Copy className="w-4 h-4" />
+                    </Button>
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      title={product.archived ? "Restore" : "Archive"}
+                      onClick={() => setArchived(product, !product.archived)}
+                    >
+                      {product.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                    </Button>
+                  </div>
+                </div>
+              ))
+            )}
+          </div>
+        </TabsContent>
+
+        <TabsContent value="stock">
+          <BulkStockEditor products={products} onSave={handleStockSave} />
+        </TabsContent>
+
+        <TabsContent value="transfer" className="space-y-6">
+          <CatalogImport products={products} onImported={handleImported} />
+          <CatalogExport products={products} />
+        </TabsContent>
+      </Tabs>
+
+      <ProductEditor
+        open={editorOpen}
+        product={editingProduct}
+        takenHandles={products
+          .filter(product => product.id !== editingProduct?.id && product.handle)
+          .map(product => product.handle)}
+        onOpenChange={setEditorOpen}
+        onSave={handleSave}
+      />
+    </div>
+  );
+}
@@ -1,225 +1,219 @@
 
-import React, { useState, useEffect, useCallback } from "react";
-import { CartItem } from "@/entities/CartItem";
-import { Product } from "@/entities/Product";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import { User } from "@/entities/User";
 import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Separator } from "@/components/ui/separator";
-import { Minus, Plus, Trash2, ShoppingBag, ArrowLeft } from "lucide-react";
+import { Minus, Plus, Trash2, ShoppingBag, ArrowLeft, AlertTriangle, Wrench, X } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useToast } from "@/components/ui/use-toast";
-import { Link } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import { createPageUrl } from "@/utils";
 
+import PromoCodeInput from "../components/cart/PromoCodeInput";
+import ShippingEstimator from "../components/cart/ShippingEstimator";
+import PriceChangeNotice from "../components/cart/PriceChangeNotice";
+import usePromoCode from "../components/cart/usePromoCode";
+import {
+  calculateTotals,
+  formatTaxRate,
+  readShippingEstimate,
+  resolveDestination,
+  storeShippingEstimate
+} from "../components/cart/pricing";
+import { getAvailableStock, getLineIssue } from "../components/cart/stockLimits";
+import useCart from "../components/cart/useCart";
+import { loadCartProducts } from "../components/cart/productCache";
+import {
+  acknowledgePrices,
+  getLineKey,
+  getPriceChanges,
+  resolveLineProducts,
+  syncGuestCart
+} from "../components/cart/cartStore";
+import { describeVariant } from "../components/shop/productVariants";
+import useAddressBook from "../components/account/useAddressBook";
+import { getDefaultAddress } from "../components/account/addressBook";
+import useCurrency from "../components/currency/useCurrency";
+import { localizeProduct } from "../components/currency/money";
+import YouMayAlsoLike from "../components/recommendations/YouMayAlsoLike";
+
 export default function Cart() {
   const { toast } = useToast();
-  const [cartItems, setCartItems] = useState([]);
-  const [products, setProducts] = useState({});
-  const [loading, setLoading] = useState(true);
-  const [user, setUser] = useState(null);
-  const [updating, setUpdating] = useState({});
-  const [isMerging, setIsMerging] = useState(false);
-
-  const mergeCarts = useCallback(async (localCart, userEmail) => {
-    setIsMerging(true);
-    try {
-      const dbCartItems = await CartItem.filter({ user_email: userEmail });
-      const dbCartMap = new Map(dbCartItems.map(item => [item.product_id, item]));
-
-      const promises = localCart.map(localItem => {
-        const dbItem = dbCartMap.get(localItem.product_id);
-        if (dbItem) {
-          // Item exists in DB, update quantity
-          return CartItem.update(dbItem.id, { quantity: dbItem.quantity + localItem.quantity });
-        } else {
-          // Item does not exist, create it
-          return CartItem.create({
-            product_id: localItem.product_id,
-            quantity: localItem.quantity,
-            user_email: userEmail
-          });
-        }
-      });
-      
-      await Promise.all(promises);
-      localStorage.removeItem('anonymousCart');
-      
-      toast({
-        title: "Cart Updated",
-        description: "Your guest cart has been merged with your account.",
-      });
+  const navigate = useNavigate();
+  const {
+    user,
+    items: cartItems,
+    loading: cartLoading,
+    merging: isMerging,
+    writeError,
+    setItemQuantity,
+    removeFromCart,
+    updateCartLines,
+    clearWriteError
+  } = useCart();
+  const [catalogProducts, setCatalogProducts] = useState({});
+  const [loadingProducts, setLoadingProducts] = useState(true);
+  const [shippingEstimate, setShippingEstimate] = useState(readShippingEstimate);
+  const [removedItems, setRemovedItems] = useState([]);
+  const { addresses } = useAddressBook(user);
+  const { currency, formatMoney } = useCurrency();
+  const hasLoadedProductsRef = useRef(false);
 
-    } catch (err) {
-      console.error("Error merging carts:", err);
-      toast({
-        title: "Error merging carts",
-        description: "There was a problem merging your carts. Please try again.",
-        variant: "destructive"
-      });
-    } finally {
-      setIsMerging(false);
-      window.dispatchEvent(new CustomEvent('cartUpdated'));
-    }
-  }, [toast]);
+  // Only a change in which products are in the cart needs a lookup; quantity
+  // changes reuse what is already loaded
+  const productIdsKey = [...new Set(cartItems.map(item => item.product_id))].sort().join(",");
 
-  const loadUser = useCallback(async () => {
-    try {
-      const currentUser = await User.me();
-      setUser(currentUser);
+  useEffect(() => {
+    if (cartLoading) return;
+    let cancelled = false;
 
-      const localCart = JSON.parse(localStorage.getItem('anonymousCart') || '[]');
-      if (localCart.length > 0 && currentUser?.email) {
-        await mergeCarts(localCart, currentUser.email);
+    const loadProducts = async () => {
+      const productIds = productIdsKey ? productIdsKey.split(",") : [];
+      try {
+        // Fresh stock when the cart is opened, cached rows after that
+        const productMap = await loadCartProducts(productIds, { force: !hasLoadedProductsRef.current });
+        hasLoadedProductsRef.current = true;
+        if (cancelled) return;
+        setCatalogProducts(productMap);
+        if (!user) {
+          // Guest copies were taken when each item was added; refresh them
+          const removed = syncGuestCart(productMap);
+          if (removed.length > 0) {
+            setRemovedItems(prev => [...prev, ...removed]);
+          }
+        }
+      } catch (error) {
+        console.error("Failed to load cart items:", error);
+        toast({
+          title: "Error",
+          description: "Failed to load cart items",
+          variant: "destructive",
+        });
+      } finally {
+        if (!cancelled) setLoadingProducts(false);
       }
-    } catch (error) {
-      setUser(null); // Explicitly set user to null if not logged in
-    }
-  }, [mergeCarts]);
-
-  const loadCartItems = useCallback(async () => {
-    if (!user?.email) {
-      // Load from local storage for anonymous user
-      setLoading(true);
-      const localCart = JSON.parse(localStorage.getItem('anonymousCart') || '[]');
-      const productMap = {};
-      localCart.forEach(item => {
-        // Assume anonymousCart items have sufficient product details (name, price, image_url, brand)
-        productMap[item.product_id] = { id: item.product_id, name: item.name, price: item.price, image_url: item.image_url, brand: item.brand };
-      });
-      setProducts(productMap);
-      // For guest cart items, use product_id as the unique 'id' for consistent keying and updating state
-      setCartItems(localCart.map(item => ({...item, id: item.product_id}))); 
-      setLoading(false);
-      return;
-    }
-    
-    // Logged-in user: Load from database
-    setLoading(true);
+    };
+    loadProducts();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [cartLoading, productIdsKey, user, toast]);
+
+  // Each line's product as sold in its variant, keyed by line id
+  const products = useMemo(() => {
+    const lineProducts = resolveLineProducts(cartItems, catalogProducts);
+    if (user) return lineProducts;
+    // Fall back to the guest line's own copy until the catalog has answered
+    cartItems.forEach(item => {
+      if (lineProducts[item.id] || catalogProducts[item.product_id]) return;
+      lineProducts[item.id] = {
+        id: item.product_id,
+        name: item.name,
+        price: item.price,
+        image_url: item.image_url,
+        brand: item.brand,
+        category: item.category
+      };
+    });
+    return lineProducts;
+  }, [user, cartItems, catalogProducts]);
+
+  const priceChanges = getPriceChanges(cartItems, products);
+  const cartCatalogProducts = useMemo(() => Object.values(catalogProducts), [catalogProducts]);
+
+  const dismissPriceChanges = async () => {
+    const prices = {};
+    priceChanges.forEach(change => {
+      prices[change.lineKey] = change.newPrice;
+    });
     try {
-      const items = await CartItem.filter({ user_email: user.email });
-      setCartItems(items);
-      
-      // Load product details
-      const productIds = [...new Set(items.map(item => item.product_id))];
-      const productList = productIds.length > 0 ? await Product.filter({ id: productIds }) : [];
-      
-      const productMap = {};
-      productList.forEach(product => {
-        productMap[product.id] = product;
-      });
-      setProducts(productMap);
+      await acknowledgePrices(prices);
     } catch (error) {
-      console.error("Failed to load cart items:", error);
+      console.error("Failed to save seen prices:", error);
       toast({
         title: "Error",
-        description: "Failed to load cart items",
+        description: "Failed to update your cart",
         variant: "destructive",
       });
-    } finally {
-      setLoading(false);
     }
-  }, [user?.email, toast]);
+  };
 
   useEffect(() => {
-    loadUser();
-  }, [loadUser]);
+    if (!writeError) return;
+    toast({
+      title: "Error",
+      description: writeError.message,
+      variant: "destructive",
+    });
+    clearWriteError();
+  }, [writeError, toast, clearWriteError]);
 
-  useEffect(() => {
-    // This effect now handles both logged-in and anonymous users
-    // Re-loads when user changes or after a merge operation completes
-    loadCartItems();
-  }, [user, loadCartItems, isMerging]);
+  // Totals and promotions are worked out on prices in the shopper's currency,
+  // so the lines shown add up to the total charged
+  const promoLines = useMemo(() => cartItems
+    .filter(item => products[item.id])
+    .map(item => ({ product: localizeProduct(products[item.id], currency), quantity: item.quantity })),
+  [cartItems, products, currency]);
+  const {
+    promotion,
+    error: promoError,
+    applying: applyingPromo,
+    applyCode,
+    removeCode,
+    discount
+  } = usePromoCode(promoLines, currency);
 
-  const updateQuantity = async (productId, newQuantity) => {
+  // Quantity changes apply at once; the cart store batches the writes
+  const updateQuantity = (item, newQuantity) => {
     if (newQuantity < 1) return;
-    
-    setUpdating(prev => ({ ...prev, [productId]: true })); // Use productId for updating state key
-    
-    if (user) {
-      // Logged-in user: Update in database
-      const cartItem = cartItems.find(item => item.product_id === productId);
-      if (!cartItem) {
-        setUpdating(prev => ({ ...prev, [productId]: false }));
-        return; 
-      }
-      try {
-        await CartItem.update(cartItem.id, { quantity: newQuantity });
-      } catch (error) {
-        console.error("Failed to update quantity in DB:", error);
-        toast({
-          title: "Error",
-          description: "Failed to update quantity",
-          variant: "destructive",
-        });
-      }
-    } else {
-      // Anonymous user: Update in local storage
-      let localCart = JSON.parse(localStorage.getItem('anonymousCart') || '[]');
-      localCart = localCart.map(item => item.product_id === productId ? { ...item, quantity: newQuantity } : item);
-      localStorage.setItem('anonymousCart', JSON.stringify(localCart));
-    }
-    
-    await loadCartItems(); // Reload to reflect changes
-    window.dispatchEvent(new CustomEvent('cartUpdated')); // Notify other components
-    setUpdating(prev => ({ ...prev, [productId]: false }));
+    if (newQuantity > getAvailableStock(products[item.id])) return;
+    setItemQuantity(getLineKey(item), newQuantity);
   };
 
-  const removeItem = async (productId) => {
-    setUpdating(prev => ({ ...prev, [productId]: true })); // Use productId for updating state key
-
-    if (user) {
-      // Logged-in user: Remove from database
-      const cartItem = cartItems.find(item => item.product_id === productId);
-      if (!cartItem) {
-        setUpdating(prev => ({ ...prev, [productId]: false }));
-        return;
-      }
-      try {
-        await CartItem.delete(cartItem.id);
-        toast({ 
-          title: "Item removed",
-          description: "Item has been removed from your cart",
-        });
-      } catch (error) {
-        console.error("Failed to remove item from DB:", error);
-        toast({
-          title: "Error",
-          description: "Failed to remove item",
-          variant: "destructive",
-        });
-      }
-    } else {
-      // Anonymous user: Remove from local storage
-      let localCart = JSON.parse(localStorage.getItem('anonymousCart') || '[]');
-      localCart = localCart.filter(item => item.product_id !== productId);
-      localStorage.setItem('anonymousCart', JSON.stringify(localCart));
-      toast({ 
-        title: "Item removed",
-        description: "Item has been removed from your cart",
-      });
-    }
-    await loadCartItems(); // Reload
-    window.dispatchEvent(new CustomEvent('cartUpdated')); // Notify other components
-    setUpdating(prev => ({ ...prev, [productId]: false }));
+  const removeItem = (item) => {
+    removeFromCart(getLineKey(item));
+    toast({ 
+      title: "Item removed",
+      description: "Item has been removed from your cart",
+    });
   };
 
-  const getSubtotal = () => {
-    return cartItems.reduce((total, item) => {
-      const product = products[item.product_id];
-      return total + (product ? product.price * item.quantity : 0);
-    }, 0);
-  };
+  const lineIssues = {};
+  cartItems.forEach(item => {
+    const issue = getLineIssue(item, products[item.id]);
+    if (issue) lineIssues[item.id] = issue;
+  });
+  const hasLineIssues = Object.keys(lineIssues).length > 0;
 
-  const getTax = () => {
-    return getSubtotal() * 0.08; // 8% tax
+  // Removes lines that can no longer be bought and trims the rest to stock
+  const fixCart = () => {
+    const fixes = cartItems
+      .filter(item => lineIssues[item.id])
+      .map(item => ({ lineKey: getLineKey(item), quantity: lineIssues[item.id].available }));
+    updateCartLines(fixes);
+    toast({
+      title: "Cart fixed",
+      description: "Quantities now match what is in stock.",
+    });
   };
 
-  const getTotal = () => {
-    return getSubtotal() + getTax();
+  // A ZIP/country or address picked in the cart wins over the default shipping address
+  const destinationAddress = shippingEstimate || getDefaultAddress(addresses, "shipping");
+  const totals = calculateTotals({
+    lines: promoLines,
+    destination: resolveDestination(destinationAddress),
+    discount,
+    currency
+  });
+
+  const handleEstimateChange = (estimate) => {
+    storeShippingEstimate(estimate);
+    setShippingEstimate(estimate);
   };
 
-  if (loading || isMerging) { // Show specific loading state for merging
+  if (cartLoading || loadingProducts || isMerging) { // Show specific loading state for merging
     return (
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="flex items-center justify-center h-64">
@@ -241,7 +235,9 @@ export default function Cart() {
           </div>
           <h2 className="text-2xl font-bold text-gray-900 mb-4">Your cart is empty</h2>
           <p className="text-gray-600 mb-8">
-            Looks like you haven't added anything to your cart yet.
+            {removedItems.length > 0
+              ? `${removedItems.map(item => item.name).join(", ")} ${removedItems.length === 1 ? "is" : "are"} no longer available and ${removedItems.length === 1 ? "was" : "were"} removed from your cart.`
+              : "Looks like you haven't added anything to your cart yet."}
           </p>
           <Link to={createPageUrl("Shop")}>
             <Button className="gold-gradient text-white">
@@ -268,20 +264,94 @@ export default function Cart() {
       <div className="grid lg:grid-cols-3 gap-8">
         {/* Cart Items */}
         <div className="lg:col-span-2 space-y-4">
+          {removedItems.length > 0 && (
+            <div className="flex items-start justify-between gap-4 rounded-lg border border-gray-200 bg-gray-100 p-4">
+              <p className="text-sm text-gray-700">
+                {removedItems.map(item => item.name).join(", ")}{" "}
+                {removedItems.length === 1 ? "is" : "are"} no longer available and {removedItems.length === 1 ? "was" : "were"} removed from your cart.
+              </p>
+              <Button variant="ghost" size="icon" className="h-6 w-6" onClick={() => setRemovedItems([])}>
+                <X className="w-4 h-4" />
+              </Button>
+            </div>
+          )}
+
+          <PriceChangeNotice changes={priceChanges} onDismiss={dismissPriceChanges} />
+
+          {hasLineIssues && (
+            <div className="flex items-center justify-between gap-4 rounded-lg border border-amber-200 bg-amber-50 p-4">
+              <div className="flex items-center gap-3 text-amber-800">
+                <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+                <p className="text-sm">
+                  Some items in your cart are no longer available in the quantity you chose.
+                  Fix them before checking out.
+                </p>
+              </div>
+              <Button
+                variant="outline"
+                className="border-amber-300 bg-white"
+                onClick={fixCart}
+              >
+                <Wrench className="w-4 h-4 mr-2" />
+                Fix my cart
+              </Button>
+            </div>
+          )}
+
           <AnimatePresence>
             {cartItems.map((item) => {
-              const product = products[item.product_id];
-              if (!product) return null;
+              const product = products[item.id];
+              const issue = lineIssues[item.id];
+
+              // The product or its size/color was deleted; all that can be done is remove the line
+              if (!product) {
+                return (
+                  <motion.div
+                    key={item.id}
+                    initial={{ opacity: 0, y: 20 }}
+                    animate={{ opacity: 1, y: 0 }}
+                    exit={{ opacity: 0, y: -20 }}
+                    layout
+                  >
+                    <Card className="premium-card border-0 ring-1 ring-amber-300">
+                      <CardContent className="p-6">
+                        <div className="flex items-center gap-6">
+                          <div className="w-24 h-24 rounded-lg bg-gray-100 flex items-center justify-center">
+                            <AlertTriangle className="w-6 h-6 text-amber-500" />
+                          </div>
+                          <div className="flex-1">
+                            <h3 className="font-semibold text-lg text-gray-900">
+                              {item.name || "This item"}
+                            </h3>
+                            <p className="text-sm font-medium text-amber-700 mt-1">{issue.message}</p>
+                          </div>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="text-red-500 hover:text-red-600 hover:bg-red-50"
+                            onClick={() => removeItem(item)}
+                          >
+                            <Trash2 className="w-5 h-5" />
+                          </Button>
+                        </div>
+                      </CardContent>
+                    </Card>
+                  </motion.div>
+                );
+              }
+
+              const available = getAvailableStock(product);
+              const unitPrice = localizeProduct(product, currency).price;
 
               return (
                 <motion.div
-                  key={item.id} // item.id will be product_id for guest cart, or actual DB id for logged-in
+                  key={item.id} // item.id is the line key for guest cart, or actual DB id for logged-in
                   initial={{ opacity: 0, y: 20 }}
                   animate={{ opacity: 1, y: 0 }}
                   exit={{ opacity: 0, y: -20 }}
                   layout
                 >
-                  <Card className="premium-card border-0">
+                  <Card className={`premium-card border-0 ${issue ? "ring-1 ring-amber-300" : ""}`}>
                     <CardContent className="p-6">
                       <div className="flex gap-6">
                         <img
@@ -296,6 +366,12 @@ export default function Cart() {
                               {product.name}
                             </h3>
                             <p className="text-sm text-gray-500">{product.brand}</p>
+                            {product.variant && (
+                              <p className="text-sm text-gray-600">{describeVariant(product.variant)}</p>
+                            )}
+                            {issue && (
+                              <p className="text-sm font-medium text-amber-700 mt-1">{issue.message}</p>
+                            )}
                           </div>
                           
                           <div className="flex items-center justify-between">
@@ -304,8 +380,8 @@ export default function Cart() {
                                 variant="outline"
                                 size="icon"
                                 className="h-8 w-8"
-                                onClick={() => updateQuantity(item.product_id, item.quantity - 1)} // Pass product_id
-                                disabled={updating[item.product_id] || item.quantity <= 1} // Use product_id for disabled state
+                                onClick={() => updateQuantity(item, item.quantity - 1)}
+                                disabled={item.quantity <= 1}
                               >
                                 <Minus className="w-3 h-3" />
                               </Button>
@@ -318,8 +394,8 @@ export default function Cart() {
                                 variant="outline"
                                 size="icon"
                                 className="h-8 w-8"
-                                onClick={() => updateQuantity(item.product_id, item.quantity + 1)} // Pass product_id
-                                disabled={updating[item.product_id]} // Use product_id for disabled state
+                                onClick={() => updateQuantity(item, item.quantity + 1)}
+                                disabled={item.quantity >= available}
                               >
                                 <Plus className="w-3 h-3" />
                               </Button>
@@ -327,10 +403,10 @@ export default function Cart() {
                             
                             <div className="text-right">
                               <p className="font-bold text-xl">
-                                ${(product.price * item.quantity).toFixed(2)}
+                                {formatMoney(unitPrice * item.quantity)}
                               </p>
                               <p className="text-sm text-gray-500">
-                                ${product.price.toFixed(2)} each
+                                {formatMoney(unitPrice)} each
                               </p>
                             </div>
                           </div>
@@ -340,8 +416,7 @@ export default function Cart() {
                           variant="ghost"
                           size="icon"
                           className="text-red-500 hover:text-red-600 hover:bg-red-50"
-                          onClick={() => removeItem(item.product_id)} // Pass product_id
-                          disabled={updating[item.product_id]} // Use product_id for disabled state
+                          onClick={() => removeItem(item)}
                         >
                           <Trash2 className="w-5 h-5" />
                         </Button>
@@ -364,34 +439,55 @@ export default function Cart() {
               <div className="space-y-3">
                 <div className="flex justify-between">
                   <span>Subtotal</span>
-                  <span>${getSubtotal().toFixed(2)}</span>
+                  <span>{formatMoney(totals.subtotal)}</span>
                 </div>
+                {totals.discount > 0 && (
+                  <div className="flex justify-between text-green-600">
+                    <span>Discount ({promotion.code})</span>
+                    <span>-{formatMoney(totals.discount)}</span>
+                  </div>
+                )}
                 <div className="flex justify-between">
-                  <span>Tax</span>
-                  <span>${getTax().toFixed(2)}</span>
+                  <span>Tax{totals.isEstimate ? " (est.)" : ` (${formatTaxRate(totals.taxRate)})`}</span>
+                  <span>{formatMoney(totals.tax)}</span>
                 </div>
                 <div className="flex justify-between">
-                  <span>Shipping</span>
-                  <span className="text-green-600">Free</span>
+                  <span>Shipping{totals.isEstimate ? " (est.)" : ""}</span>
+                  {totals.shipping_cost === 0 ? (
+                    <span className="text-green-600">Free</span>
+                  ) : (
+                    <span>{formatMoney(totals.shipping_cost)}</span>
+                  )}
                 </div>
               </div>
+
+              <ShippingEstimator
+                estimate={destinationAddress}
+                addresses={addresses}
+                onEstimateChange={handleEstimateChange}
+              />
               
+              <PromoCodeInput
+                promotion={promotion}
+                currency={currency}
+                error={promoError}
+                applying={applyingPromo}
+                onApply={applyCode}
+                onRemove={removeCode}
+              />
+
               <Separator />
               
               <div className="flex justify-between text-lg font-bold">
                 <span>Total</span>
-                <span>${getTotal().toFixed(2)}</span>
+                <span>{formatMoney(totals.total)}</span>
               </div>
               
               {user ? ( // Conditional rendering for checkout button
                 <Button 
                   className="w-full gold-gradient text-white h-12 text-lg font-semibold"
-                  onClick={() => {
-                    toast({
-                      title: "Checkout",
-                      description: "Checkout functionality would be implemented here",
-                    });
-                  }}
+                  onClick={() => navigate(createPageUrl("Checkout"))}
+                  disabled={hasLineIssues}
                 >
                   Proceed to Checkout
                 </Button>
@@ -404,13 +500,19 @@ export default function Cart() {
                 </Button>
               )}
               
-              <p className="text-xs text-gray-500 text-center">
-                Free shipping on orders over $50
-              </p>
+              {totals.freeShippingThreshold !== null && (
+                <p className="text-xs text-gray-500 text-center">
+                  {totals.freeShippingRemaining > 0
+                    ? `Add ${formatMoney(totals.freeShippingRemaining)} more for free standard shipping`
+                    : `Free standard shipping on orders over ${formatMoney(totals.freeShippingThreshold)}`}
+                </p>
+              )}
             </CardContent>
           </Card>
         </div>
       </div>
+
+      <YouMayAlsoLike products={cartCatalogProducts} className="mt-12" />
     </div>
   );
 }
@@ -0,0 +1,97 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { Card, CardContent } from "@/components/ui/card";
+import { Skeleton } from "@/components/ui/skeleton";
+import { Package, ArrowRight } from "lucide-react";
+import { motion } from "framer-motion";
+import { useToast } from "@/components/ui/use-toast";
+import { Link } from "react-router-dom";
+
+import { CATEGORY_LABELS } from "../components/shop/catalogFacets";
+import { loadFacetSource } from "../components/shop/catalogQuery";
+import { getCategoryUrl } from "../components/shop/collections";
+
+export default function Categories() {
+  const { toast } = useToast();
+  const [catalog, setCatalog] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const loadCatalog = async () => {
+      try {
+        setCatalog(await loadFacetSource());
+      } catch (error) {
+        toast({
+          title: "Error",
+          description: "Failed to load categories",
+          variant: "destructive",
+        });
+      } finally {
+        setLoading(false);
+      }
+    };
+    loadCatalog();
+  }, [toast]);
+
+  // Featured products make the best cover image for their category
+  const categories = useMemo(() => Object.entries(CATEGORY_LABELS).map(([id, label]) => {
+    const products = catalog.filter(product => product.category === id);
+    const cover = products.find(product => product.featured && product.image_url) ||
+      products.find(product => product.image_url);
+    return { id, label, count: products.length, image: cover?.image_url };
+  }), [catalog]);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="text-center mb-12"
+      >
+        <h1 className="text-4xl md:text-5xl font-bold text-gray-900 mb-4">Shop by Category</h1>
+        <p className="text-xl text-gray-600 max-w-3xl mx-auto">
+          Find exactly what you're looking for across our curated departments
+        </p>
+      </motion.div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+        {loading
+          ? [1, 2, 3, 4, 5, 6].map((i) => <Skeleton key={i} className="h-72 w-full" />)
+          : categories.map((category, index) => (
+              <motion.div
+                key={category.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                transition={{ delay: index * 0.05 }}
+              >
+                <Link to={getCategoryUrl(category.id)}>
+                  <Card className="premium-card border-0 overflow-hidden group">
+                    <div className="h-56 bg-gray-100 overflow-hidden">
+                      {category.image ? (
+                        <img
+                          src={category.image}
+                          alt={category.label}
+                          className="w-full h-full object-cover group-hover:scale-105 transition-transform duration-500"
+                        />
+                      ) : (
+                        <div className="w-full h-full flex items-center justify-center">
+                          <Package className="w-16 h-16 text-gray-300" />
+                        </div>
+                      )}
+                    </div>
+                    <CardContent className="p-5 flex items-center justify-between">
+                      <div>
+                        <h2 className="text-lg font-semibold text-gray-900">{category.label}</h2>
+                        <p className="text-sm text-gray-500">
+                          {category.count} {category.count === 1 ? "product" : "products"}
+                        </p>
+                      </div>
+                      <ArrowRight className="w-5 h-5 text-gray-400 group-hover:text-gray-900 transition-colors" />
+                    </CardContent>
+                  </Card>
+                </Link>
+              </motion.div>
+            ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import React, { useMemo } from "react";
+import { Button } from "@/components/ui/button";
+import { Package } from "lucide-react";
+import { Link, useSearchParams } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+
+import CollectionView from "../components/shop/CollectionView";
+import { CATEGORY_LABELS } from "../components/shop/catalogFacets";
+import { getCategoryCollection } from "../components/shop/collections";
+
+const PRESERVED_PARAMS = ["category"];
+
+export default function Category() {
+  const [searchParams] = useSearchParams();
+  const category = searchParams.get("category");
+  const collection = useMemo(() => getCategoryCollection(category), [category]);
+
+  if (!CATEGORY_LABELS[category]) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
+        <div className="text-center">
+          <div className="w-32 h-32 mx-auto mb-6 bg-gray-100 rounded-full flex items-center justify-center">
+            <Package className="w-16 h-16 text-gray-400" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Category not found</h2>
+          <p className="text-gray-600 mb-8">We couldn't find that category.</p>
+          <Link to={createPageUrl("Categories")}>
+            <Button className="gold-gradient text-white">Browse Categories</Button>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return <CollectionView collection={collection} preserveParams={PRESERVED_PARAMS} />;
+}
@@ -0,0 +1,615 @@
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import { User } from "@/entities/User";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Checkbox } from "@/components/ui/checkbox";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Separator } from "@/components/ui/separator";
+import { AlertTriangle, ArrowLeft, CheckCircle, CreditCard, Lock, MapPin, ShoppingBag } from "lucide-react";
+import { motion } from "framer-motion";
+import { useToast } from "@/components/ui/use-toast";
+import { Link } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+
+import CheckoutSteps from "../components/checkout/CheckoutSteps";
+import ShippingAddressForm from "../components/checkout/ShippingAddressForm";
+import ShippingMethodSelector from "../components/checkout/ShippingMethodSelector";
+import SavedAddressSelector, { NEW_ADDRESS } from "../components/checkout/SavedAddressSelector";
+import { buildOrderLines, generateOrderNumber } from "../components/checkout/orderTotals";
+import { calculateTotals, formatTaxRate, getShippingQuotes, resolveDestination } from "../components/cart/pricing";
+import { validateCard } from "../components/checkout/mockPaymentProvider";
+import { placeOrder } from "../components/checkout/placeOrder";
+import usePromoCode from "../components/cart/usePromoCode";
+import { getLineIssue } from "../components/cart/stockLimits";
+import useCart from "../components/cart/useCart";
+import { loadCartProducts } from "../components/cart/productCache";
+import { resolveLineProducts } from "../components/cart/cartStore";
+import useAddressBook from "../components/account/useAddressBook";
+import { getAddressLabel, getDefaultAddress, pickAddressFields, saveAddress } from "../components/account/addressBook";
+import { normalizeAddress, validateAddress } from "../components/account/addressValidation";
+import { getCountryName } from "../components/account/countries";
+import useCurrency from "../components/currency/useCurrency";
+import { localizeProduct } from "../components/currency/money";
+import { formatOrderMoney } from "../components/orders/receipt";
+
+const SAME_AS_SHIPPING = "shipping";
+
+export default function Checkout() {
+  const { toast } = useToast();
+  const [user, setUser] = useState(null);
+  const { items: cartItems, loading: cartLoading, clearCart } = useCart();
+  const [products, setProducts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [loadingProducts, setLoadingProducts] = useState(true);
+  const [step, setStep] = useState("address");
+  const [address, setAddress] = useState({});
+  const [addressErrors, setAddressErrors] = useState({});
+  const { addresses, loading: loadingAddresses, reload: reloadAddresses } = useAddressBook(user);
+  const [shippingAddressId, setShippingAddressId] = useState(NEW_ADDRESS);
+  const [billingAddressId, setBillingAddressId] = useState(SAME_AS_SHIPPING);
+  const [saveNewAddress, setSaveNewAddress] = useState(true);
+  const [savingAddress, setSavingAddress] = useState(false);
+  const hasPickedDefaultsRef = useRef(false);
+  const [shippingMethod, setShippingMethod] = useState("standard");
+  const [card, setCard] = useState({ name: "", number: "", expiry: "", cvc: "" });
+  const [cardErrors, setCardErrors] = useState({});
+  const [placing, setPlacing] = useState(false);
+  const [placedOrder, setPlacedOrder] = useState(null);
+  const { currency, formatMoney } = useCurrency();
+
+  // Each line's product as sold in its variant, keyed by line id
+  const lineProducts = useMemo(() => resolveLineProducts(cartItems, products), [cartItems, products]);
+  // The same products priced in the shopper's currency, which the order is charged in
+  const pricedLineProducts = useMemo(() => {
+    const priced = {};
+    Object.entries(lineProducts).forEach(([lineId, product]) => {
+      priced[lineId] = localizeProduct(product, currency);
+    });
+    return priced;
+  }, [lineProducts, currency]);
+  const promoLines = useMemo(() => cartItems
+    .filter(item => pricedLineProducts[item.id])
+    .map(item => ({ product: pricedLineProducts[item.id], quantity: item.quantity })),
+  [cartItems, pricedLineProducts]);
+  const { promotion, discount, removeCode } = usePromoCode(promoLines, currency);
+
+  const loadCheckout = useCallback(async () => {
+    setLoading(true);
+    try {
+      const currentUser = await User.me();
+      setUser(currentUser);
+
+      // A new address starts from the account's name and phone
+      setAddress(pickAddressFields({ full_name: currentUser.full_name, phone: currentUser.phone }));
+      setCard(prev => ({ ...prev, name: currentUser.full_name || "" }));
+    } catch (error) {
+      setUser(null);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCheckout();
+  }, [loadCheckout]);
+
+  const loadProducts = useCallback(async () => {
+    const productIds = [...new Set(cartItems.map(item => item.product_id))];
+    try {
+      // Checkout always re-reads stock rather than trusting the cart's cache
+      const productMap = await loadCartProducts(productIds, { force: true });
+      setProducts(productMap);
+    } catch (error) {
+      console.error("Failed to load checkout products:", error);
+    } finally {
+      setLoadingProducts(false);
+    }
+  }, [cartItems]);
+
+  useEffect(() => {
+    if (!cartLoading) {
+      loadProducts();
+    }
+  }, [cartLoading, loadProducts]);
+
+  // Start from the default shipping and billing addresses once the book has loaded
+  useEffect(() => {
+    if (loadingAddresses || hasPickedDefaultsRef.current || addresses.length === 0) return;
+    hasPickedDefaultsRef.current = true;
+    const shippingDefault = getDefaultAddress(addresses, "shipping") || addresses[0];
+    const billingDefault = getDefaultAddress(addresses, "billing");
+    setShippingAddressId(shippingDefault.id);
+    setAddress(pickAddressFields(shippingDefault));
+    if (billingDefault && billingDefault.id !== shippingDefault.id) {
+      setBillingAddressId(billingDefault.id);
+    }
+  }, [loadingAddresses, addresses]);
+
+  const selectShippingAddress = (id) => {
+    setShippingAddressId(id);
+    setAddressErrors({});
+    const saved = addresses.find(candidate => candidate.id === id);
+    setAddress(saved
+      ? pickAddressFields(saved)
+      : pickAddressFields({ full_name: user.full_name, phone: user.phone }));
+  };
+
+  // Billing falls back to the shipping address when both point at the same entry
+  const billingChoice = billingAddressId === shippingAddressId ? SAME_AS_SHIPPING : billingAddressId;
+
+  const lines = buildOrderLines(cartItems, pricedLineProducts, currency);
+  const destination = resolveDestination(address);
+  const totals = calculateTotals({ lines: promoLines, destination, shippingMethodId: shippingMethod, discount, currency });
+  const shippingQuotes = getShippingQuotes(promoLines, destination, totals.subtotal - totals.discount, currency);
+
+  const hasStockIssues = cartItems.some(item => getLineIssue(item, lineProducts[item.id]));
+
+  const handleAddressContinue = async () => {
+    const errors = validateAddress(address);
+    setAddressErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      // An incomplete saved address opens in the form so it can be fixed
+      setShippingAddressId(NEW_ADDRESS);
+      return;
+    }
+
+    const normalized = normalizeAddress(address);
+    setAddress(normalized);
+    if (shippingAddressId === NEW_ADDRESS && saveNewAddress) {
+      setSavingAddress(true);
+      try {
+        const id = await saveAddress(user, normalized, addresses);
+        await reloadAddresses();
+        setShippingAddressId(id);
+      } catch (error) {
+        // Saving is a convenience; the order can still ship to this address
+        console.error("Failed to save address:", error);
+      } finally {
+        setSavingAddress(false);
+      }
+    }
+    setStep("shipping");
+  };
+
+  const handleCardChange = (field, value) => {
+    setCard(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handlePlaceOrder = async () => {
+    const errors = validateCard(card);
+    setCardErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setPlacing(true);
+    try {
+      // Stock may have moved since the page loaded; check again before charging
+      const latestMap = await loadCartProducts(Object.keys(products), { force: true });
+      const latestLineProducts = resolveLineProducts(cartItems, latestMap);
+      if (cartItems.some(item => getLineIssue(item, latestLineProducts[item.id]))) {
+        setProducts(latestMap);
+        toast({
+          title: "Not enough stock",
+          description: "Some items in your cart changed. Review your cart before placing the order.",
+          variant: "destructive",
+        });
+        return;
+      }
+
+      const order = await placeOrder({
+        order_number: generateOrderNumber(),
+        user_email: user.email,
+        items: lines,
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        tax: totals.tax,
+        shipping_cost: totals.shipping_cost,
+        total: totals.total,
+        currency,
+        promo_code: totals.discount > 0 || discount.freeShipping ? promotion.code : "",
+        shipping_method: totals.shipping_method,
+        shipping_address: address,
+        billing_address: billingChoice === SAME_AS_SHIPPING
+          ? address
+          : pickAddressFields(addresses.find(saved => saved.id === billingChoice))
+      }, card);
+
+      // The order is paid for; a cart that fails to clear must not hide that
+      try {
+        await clearCart();
+      } catch (error) {
+        console.error("Failed to clear cart:", error);
+      }
+
+      setPlacedOrder(order);
+      removeCode();
+    } catch (error) {
+      console.error("Failed to place order:", error);
+      toast({
+        title: "Order not placed",
+        description: error.message || "We couldn't place your order. Please try again.",
+        variant: "destructive",
+      });
+    } finally {
+      setPlacing(false);
+    }
+  };
+
+  if (loading || cartLoading || loadingProducts || loadingAddresses) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex items-center justify-center h-64">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gray-900 mx-auto"></div>
+            <p className="mt-4 text-lg font-medium">Preparing checkout...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!user) {
+    return (
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
+        <div className="text-center">
+          <Lock className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Please sign in</h2>
+          <p className="text-gray-600 mb-8">You need to be signed in to check out.</p>
+          <Button
+            onClick={() => User.loginWithRedirect(window.location.href)}
+            className="gold-gradient text-white"
+          >
+            Sign In
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (placedOrder) {
+    return (
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        className="max-w-2xl mx-auto px-4 sm:px-6 lg:px-8 py-16 text-center"
+      >
+        <CheckCircle className="w-16 h-16 text-green-500 mx-auto mb-4" />
+        <h2 className="text-3xl font-bold text-gray-900 mb-2">Thank you for your order!</h2>
+        <p className="text-gray-600 mb-2">
+          Order <span className="font-semibold">{placedOrder.order_number}</span> has been placed.
+        </p>
+        <p className="text-gray-600 mb-8">
+          A total of {formatOrderMoney(placedOrder, placedOrder.total)} was charged to the card ending in {placedOrder.payment?.card_last4}.
+        </p>
+        <div className="flex justify-center gap-3">
+          <Link to={`${createPageUrl("Profile")}?tab=orders&order=${placedOrder.id}`}>
+            <Button variant="outline">View Order</Button>
+          </Link>
+          <Link to={createPageUrl("Shop")}>
+            <Button className="gold-gradient text-white">Continue Shopping</Button>
+          </Link>
+        </div>
+      </motion.div>
+    );
+  }
+
+  if (lines.length === 0) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
+        <div className="text-center">
+          <div className="w-32 h-32 mx-auto mb-6 bg-gray-100 rounded-full flex items-center justify-center">
+            <ShoppingBag className="w-16 h-16 text-gray-400" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Nothing to check out</h2>
+          <p className="text-gray-600 mb-8">Your cart is empty.</p>
+          <Link to={createPageUrl("Shop")}>
+            <Button className="gold-gradient text-white">Start Shopping</Button>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const method = shippingQuotes.find(quote => quote.id === totals.shipping_method);
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center gap-4 mb-8">
+        <Link to={createPageUrl("Cart")}>
+          <Button variant="ghost" size="icon">
+            <ArrowLeft className="w-5 h-5" />
+          </Button>
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900">Checkout</h1>
+      </div>
+
+      <CheckoutSteps currentStep={step} />
+
+      {hasStockIssues && (
+        <div className="flex items-center justify-between gap-4 rounded-lg border border-amber-200 bg-amber-50 p-4 mb-6">
+          <div className="flex items-center gap-3 text-amber-800">
+            <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+            <p className="text-sm">Some items in your cart are out of stock or no longer available.</p>
+          </div>
+          <Link to={createPageUrl("Cart")}>
+            <Button variant="outline" className="border-amber-300 bg-white">Review cart</Button>
+          </Link>
+        </div>
+      )}
+
+      <div className="grid lg:grid-cols-3 gap-8">
+        <div className="lg:col-span-2">
+          {step === "address" && (
+            <Card className="premium-card border-0">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <MapPin className="w-5 h-5" />
+                  Shipping Address
+                </CardTitle>
+                {addresses.length > 0 && (
+                  <p className="text-sm text-gray-600">
+                    Choose one of your saved addresses or enter a new one.
+                  </p>
+                )}
+              </CardHeader>
+              <CardContent className="space-y-6">
+                {addresses.length > 0 && (
+                  <SavedAddressSelector
+                    addresses={addresses}
+                    value={shippingAddressId}
+                    onChange={selectShippingAddress}
+                  />
+                )}
+                {shippingAddressId === NEW_ADDRESS && (
+                  <>
+                    <ShippingAddressForm
+                      address={address}
+                      errors={addressErrors}
+                      onChange={setAddress}
+                    />
+                    <div className="flex items-center gap-2">
+                      <Checkbox
+                        id="save_new_address"
+                        checked={saveNewAddress}
+                        onCheckedChange={(checked) => setSaveNewAddress(checked === true)}
+                      />
+                      <Label htmlFor="save_new_address">Save this address to my address book</Label>
+                    </div>
+                  </>
+                )}
+                <div className="flex justify-end">
+                  <Button onClick={handleAddressContinue} disabled={savingAddress} className="gold-gradient text-white px-8">
+                    {savingAddress ? "Saving..." : "Continue"}
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {step === "shipping" && (
+            <Card className="premium-card border-0">
+              <CardHeader>
+                <CardTitle>Shipping Method</CardTitle>
+              </CardHeader>
+              <CardContent className="space-y-6">
+                <ShippingMethodSelector
+                  quotes={shippingQuotes}
+                  currency={currency}
+                  value={totals.shipping_method}
+                  onChange={setShippingMethod}
+                />
+                <div className="flex justify-between">
+                  <Button variant="outline" onClick={() => setStep("address")}>Back</Button>
+                  <Button onClick={() => setStep("review")} className="gold-gradient text-white px-8">
+                    Continue
+                  </Button>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {step === "review" && (
+            <div className="space-y-6">
+              <Card className="premium-card border-0">
+                <CardHeader>
+                  <CardTitle>Review Your Order</CardTitle>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {lines.map((line) => (
+                    <div key={`${line.product_id}:${line.variant_sku}`} className="flex items-center gap-4">
+                      <img
+                        src={line.image_url}
+                        alt={line.name}
+                        className="w-16 h-16 object-cover rounded-lg"
+                      />
+                      <div className="flex-1">
+                        <p className="font-medium text-gray-900">{line.name}</p>
+                        {line.variant_label && (
+                          <p className="text-sm text-gray-600">{line.variant_label}</p>
+                        )}
+                        <p className="text-sm text-gray-500">
+                          {line.quantity} × {formatMoney(line.price)}
+                        </p>
+                      </div>
+                      <p className="font-semibold">{formatMoney(line.line_total)}</p>
+                    </div>
+                  ))}
+
+                  <Separator />
+
+                  <div className="grid sm:grid-cols-2 gap-4 text-sm">
+                    <div>
+                      <div className="flex items-center justify-between mb-1">
+                        <p className="font-medium text-gray-900">Ship to</p>
+                        <button className="text-xs text-gray-500 underline" onClick={() => setStep("address")}>
+                          Edit
+                        </button>
+                      </div>
+                      <p className="text-gray-600">{address.full_name}</p>
+                      <p className="text-gray-600">{address.address_line1}</p>
+                      {address.address_line2 && <p className="text-gray-600">{address.address_line2}</p>}
+                      <p className="text-gray-600">
+                        {[address.city, address.state, address.postal_code].filter(Boolean).join(", ")}
+                      </p>
+                      <p className="text-gray-600">{getCountryName(address.country)}</p>
+                    </div>
+                    <div>
+                      <div className="flex items-center justify-between mb-1">
+                        <p className="font-medium text-gray-900">Delivery</p>
+                        <button className="text-xs text-gray-500 underline" onClick={() => setStep("shipping")}>
+                          Edit
+                        </button>
+                      </div>
+                      <p className="text-gray-600">{method.label} ({method.description})</p>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+
+              <Card className="premium-card border-0">
+                <CardHeader>
+                  <CardTitle className="flex items-center gap-2">
+                    <CreditCard className="w-5 h-5" />
+                    Payment
+                  </CardTitle>
+                  <p className="text-sm text-gray-600">
+                    Test mode: any valid-looking card is approved; 4000 0000 0000 0002 is declined.
+                  </p>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  {addresses.length > 0 && (
+                    <div className="space-y-2">
+                      <Label htmlFor="billing_address">Billing Address</Label>
+                      <Select value={billingChoice} onValueChange={setBillingAddressId}>
+                        <SelectTrigger id="billing_address">
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          <SelectItem value={SAME_AS_SHIPPING}>Same as shipping address</SelectItem>
+                          {addresses
+                            .filter(saved => saved.id !== shippingAddressId)
+                            .map(saved => (
+                              <SelectItem key={saved.id} value={saved.id}>{getAddressLabel(saved)}</SelectItem>
+                            ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                  )}
+                  <div className="space-y-2">
+                    <Label htmlFor="card_name">Name on Card</Label>
+                    <Input
+                      id="card_name"
+                      value={card.name}
+                      onChange={(e) => handleCardChange("name", e.target.value)}
+                    />
+                    {cardErrors.name && <p className="text-xs text-red-600">{cardErrors.name}</p>}
+                  </div>
+                  <div className="space-y-2">
+                    <Label htmlFor="card_number">Card Number</Label>
+                    <Input
+                      id="card_number"
+                      inputMode="numeric"
+                      value={card.number}
+                      onChange={(e) => handleCardChange("number", e.target.value)}
+                      placeholder="4242 4242 4242 4242"
+                    />
+                    {cardErrors.number && <p className="text-xs text-red-600">{cardErrors.number}</p>}
+                  </div>
+                  <div className="grid grid-cols-2 gap-4">
+                    <div className="space-y-2">
+                      <Label htmlFor="card_expiry">Expiry</Label>
+                      <Input
+                        id="card_expiry"
+                        value={card.expiry}
+                        onChange={(e) => handleCardChange("expiry", e.target.value)}
+                        placeholder="MM/YY"
+                      />
+                      {cardErrors.expiry && <p className="text-xs text-red-600">{cardErrors.expiry}</p>}
+                    </div>
+                    <div className="space-y-2">
+                      <Label htmlFor="card_cvc">CVC</Label>
+                      <Input
+                        id="card_cvc"
+                        inputMode="numeric"
+                        value={card.cvc}
+                        onChange={(e) => handleCardChange("cvc", e.target.value)}
+                        placeholder="123"
+                      />
+                      {cardErrors.cvc && <p className="text-xs text-red-600">{cardErrors.cvc}</p>}
+                    </div>
+                  </div>
+
+                  <div className="flex justify-between pt-2">
+                    <Button variant="outline" onClick={() => setStep("shipping")} disabled={placing}>
+                      Back
+                    </Button>
+                    <Button
+                      onClick={handlePlaceOrder}
+                      disabled={placing || hasStockIssues}
+                      className="gold-gradient text-white px-8"
+                    >
+                      {placing ? (
+                        <>
+                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-white mr-2"></div>
+                          Placing Order...
+                        </>
+                      ) : (
+                        <>
+                          <Lock className="w-4 h-4 mr-2" />
+                          Place Order
+                        </>
+                      )}
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+          )}
+        </div>
+
+        {/* Order Summary */}
+        <div>
+          <Card className="premium-card border-0 sticky top-8">
+            <CardHeader>
+              <CardTitle className="text-xl">Order Summary</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="space-y-3">
+                <div className="flex justify-between">
+                  <span>Subtotal ({lines.length} items)</span>
+                  <span>{formatMoney(totals.subtotal)}</span>
+                </div>
+                {totals.discount > 0 && (
+                  <div className="flex justify-between text-green-600">
+                    <span>Discount ({promotion.code})</span>
+                    <span>-{formatMoney(totals.discount)}</span>
+                  </div>
+                )}
+                <div className="flex justify-between">
+                  <span>Tax ({formatTaxRate(totals.taxRate)})</span>
+                  <span>{formatMoney(totals.tax)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Shipping</span>
+                  {totals.shipping_cost === 0 ? (
+                    <span className="text-green-600">Free</span>
+                  ) : (
+                    <span>{formatMoney(totals.shipping_cost)}</span>
+                  )}
+                </div>
+              </div>
+
+              <Separator />
+
+              <div className="flex justify-between text-lg font-bold">
+                <span>Total</span>
+                <span>{formatMoney(totals.total)}</span>
+              </div>
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+}
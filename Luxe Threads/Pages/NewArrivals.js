@@ -0,0 +1,50 @@
+import React, { useMemo } from "react";
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
+import { useSearchParams } from "react-router-dom";
+
+import CollectionView from "../components/shop/CollectionView";
+import {
+  NEW_ARRIVALS_DAYS,
+  NEW_ARRIVALS_WINDOWS,
+  getNewArrivalsCollection
+} from "../components/shop/collections";
+
+const PRESERVED_PARAMS = ["days"];
+
+export default function NewArrivals() {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const requestedDays = Number(searchParams.get("days"));
+  const days = requestedDays > 0 ? requestedDays : NEW_ARRIVALS_DAYS;
+  const collection = useMemo(() => getNewArrivalsCollection(days), [days]);
+
+  const setDays = (value) => {
+    const params = new URLSearchParams(searchParams);
+    if (Number(value) === NEW_ARRIVALS_DAYS) params.delete("days");
+    else params.set("days", value);
+    setSearchParams(params);
+  };
+
+  // A window from a shared link stays selectable even if it's not a preset
+  const windows = NEW_ARRIVALS_WINDOWS.includes(days)
+    ? NEW_ARRIVALS_WINDOWS
+    : [...NEW_ARRIVALS_WINDOWS, days].sort((a, b) => a - b);
+
+  return (
+    <CollectionView
+      collection={collection}
+      preserveParams={PRESERVED_PARAMS}
+      controls={
+        <Select value={String(days)} onValueChange={setDays}>
+          <SelectTrigger className="w-40 h-12 premium-shadow border-0">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {windows.map(window => (
+              <SelectItem key={window} value={String(window)}>Last {window} days</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      }
+    />
+  );
+}
@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Product } from "@/entities/Product";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { Separator } from "@/components/ui/separator";
+import { Skeleton } from "@/components/ui/skeleton";
+import { ArrowLeft, ShoppingCart, Star, Package, Heart } from "lucide-react";
+import { motion } from "framer-motion";
+import { useToast } from "@/components/ui/use-toast";
+import { Link, useLocation } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+
+import ImageGallery from "../components/shop/ImageGallery";
+import QuantityPicker from "../components/shop/QuantityPicker";
+import VariantSelector from "../components/shop/VariantSelector";
+import { applyVariant, describeVariant, findVariant, getPriceRange, hasVariants } from "../components/shop/productVariants";
+import useWishlist from "../components/wishlist/useWishlist";
+import { getStockMessage } from "../components/cart/stockLimits";
+import useCart from "../components/cart/useCart";
+import ReviewSection from "../components/reviews/ReviewSection";
+import useCurrency from "../components/currency/useCurrency";
+import { recordProductView } from "../components/recommendations/recentlyViewed";
+import StockAlertActions from "../components/alerts/StockAlertActions";
+
+const STOCK_REFRESH_INTERVAL = 30000;
+
+export default function ProductDetail() {
+  const { toast } = useToast();
+  const location = useLocation();
+  const { isWishlisted, toggleWishlist } = useWishlist();
+  const { user, loading: cartLoading, addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const productId = new URLSearchParams(location.search).get("id");
+  const [product, setProduct] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [quantity, setQuantity] = useState(1);
+  const [adding, setAdding] = useState(false);
+  const [selection, setSelection] = useState({});
+
+  const loadProduct = useCallback(async () => {
+    if (!productId) {
+      setLoading(false);
+      return;
+    }
+    setLoading(true);
+    try {
+      const results = await Product.filter({ id: productId });
+      setProduct(results[0] || null);
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: "Failed to load product",
+        variant: "destructive",
+      });
+    } finally {
+      setLoading(false);
+    }
+  }, [productId, toast]);
+
+  // Keep the stock badge current while the shopper is on the page
+  const refreshStock = useCallback(async () => {
+    if (!productId) return;
+    try {
+      const results = await Product.filter({ id: productId });
+      if (results[0]) {
+        setProduct(prev => (prev ? { ...prev, stock: results[0].stock, variants: results[0].variants } : results[0]));
+      }
+    } catch (error) {
+      // Keep showing the last known stock
+    }
+  }, [productId]);
+
+  // The header rating follows the reviews as loaded rather than the stored one
+  const handleReviewStats = useCallback(({ average, count }) => {
+    setProduct(prev => (prev ? { ...prev, rating: count > 0 ? average : null, review_count: count } : prev));
+  }, []);
+
+  useEffect(() => {
+    loadProduct();
+  }, [loadProduct]);
+
+  // Waits for the account so a signed-in view is not saved as a guest's
+  const viewedId = product?.id;
+  useEffect(() => {
+    if (!viewedId || cartLoading) return;
+    recordProductView(user, viewedId).catch(error => {
+      console.error("Failed to save recently viewed product:", error);
+    });
+  }, [viewedId, user, cartLoading]);
+
+  useEffect(() => {
+    const interval = setInterval(refreshStock, STOCK_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [refreshStock]);
+
+  const variant = findVariant(product, selection);
+  const needsVariant = hasVariants(product) && !variant;
+  // The product as it would be sold with the current selection
+  const soldAs = variant ? applyVariant(product, variant) : product;
+
+  useEffect(() => {
+    if (soldAs && typeof soldAs.stock === "number" && soldAs.stock > 0) {
+      setQuantity(prev => Math.min(prev, soldAs.stock));
+    }
+  }, [soldAs?.stock]);
+
+  const notifyNotEnoughStock = (quantityInCart) => {
+    toast({
+      title: "Not enough stock",
+      description: getStockMessage(soldAs, quantityInCart),
+      variant: "destructive",
+    });
+  };
+
+  // Adds as many of the requested units as stock allows on top of what is
+  // already in the cart, and says so when that is fewer than asked for.
+  const notifyAdded = (added) => {
+    const itemLabel = variant ? `${product.name} (${describeVariant(variant)})` : product.name;
+    toast({
+      title: "Added to cart",
+      description: added < quantity
+        ? `Only ${added} more ${itemLabel} could be added; the rest is out of stock`
+        : `${added} × ${itemLabel} added to your cart`,
+    });
+  };
+
+  const handleAddToCart = async () => {
+    setAdding(true);
+    try {
+      const { added, quantityInCart } = await addToCart(product, quantity, variant);
+      if (added < 1) {
+        notifyNotEnoughStock(quantityInCart);
+      } else {
+        notifyAdded(added);
+      }
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: "Failed to add item to cart",
+        variant: "destructive",
+      });
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="grid lg:grid-cols-2 gap-12">
+          <Skeleton className="w-full aspect-square" />
+          <div className="space-y-4">
+            <Skeleton className="h-6 w-32" />
+            <Skeleton className="h-10 w-3/4" />
+            <Skeleton className="h-8 w-40" />
+            <Skeleton className="h-32 w-full" />
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!product || product.archived) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
+        <div className="text-center">
+          <div className="w-32 h-32 mx-auto mb-6 bg-gray-100 rounded-full flex items-center justify-center">
+            <Package className="w-16 h-16 text-gray-400" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Product not found</h2>
+          <p className="text-gray-600 mb-8">This product may have been removed from the catalog.</p>
+          <Link to={createPageUrl("Shop")}>
+            <Button className="gold-gradient text-white">Back to Shop</Button>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const images = [product.image_url, ...(product.images || [])]
+    .filter(Boolean)
+    .filter((image, index, all) => all.indexOf(image) === index);
+
+  const hasDiscount = product.original_price && product.original_price > product.price;
+  const discountPercentage = hasDiscount ?
+    Math.round(((product.original_price - product.price) / product.original_price) * 100) : 0;
+
+  const isOutOfStock = soldAs.stock === 0;
+  const isLowStock = soldAs.stock > 0 && soldAs.stock <= 5;
+  const [minPrice, maxPrice] = getPriceRange(product);
+  const showPriceRange = needsVariant && minPrice !== maxPrice;
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center gap-4 mb-8">
+        <Link to={createPageUrl("Shop")}>
+          <Button variant="ghost" size="icon">
+            <ArrowLeft className="w-5 h-5" />
+          </Button>
+        </Link>
+        <span className="text-sm text-gray-500 capitalize">{product.category}</span>
+      </div>
+
+      <div className="grid lg:grid-cols-2 gap-12">
+        <motion.div initial={{ opacity: 0, y: 20 }} animate={{ opacity: 1, y: 0 }}>
+          <ImageGallery images={images} alt={product.name} />
+        </motion.div>
+
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ delay: 0.1 }}
+          className="space-y-6"
+        >
+          <div className="space-y-2">
+            <p className="text-sm text-gray-500 uppercase tracking-wide">{product.brand}</p>
+            <h1 className="text-3xl md:text-4xl font-bold text-gray-900">{product.name}</h1>
+
+            {product.rating && (
+              <div className="flex items-center space-x-1">
+                {[...Array(5)].map((_, i) => (
+                  <Star
+                    key={i}
+                    className={`w-4 h-4 ${
+                      i < Math.floor(product.rating)
+                        ? "fill-yellow-400 text-yellow-400"
+                        : "text-gray-300"
+                    }`}
+                  />
+                ))}
+                <span className="text-sm text-gray-500 ml-1">{product.rating}</span>
+                <a href="#reviews" className="text-sm text-gray-500 hover:text-gray-900 underline-offset-2 hover:underline ml-1">
+                  ({product.review_count || 0} {product.review_count === 1 ? "review" : "reviews"})
+                </a>
+              </div>
+            )}
+          </div>
+
+          <div className="flex items-center gap-3">
+            <span className="text-3xl font-bold text-gray-900">
+              {showPriceRange
+                ? `${formatPrice(minPrice)} – ${formatPrice(maxPrice)}`
+                : formatPrice(soldAs.price)}
+            </span>
+            {hasDiscount && !variant?.price && (
+              <>
+                <span className="text-lg text-gray-500 line-through">
+                  {formatPrice(product.original_price)}
+                </span>
+                <Badge className="bg-red-500 text-white border-0">-{discountPercentage}%</Badge>
+              </>
+            )}
+          </div>
+
+          <div>
+            {isOutOfStock ? (
+              <Badge variant="secondary" className="bg-red-50 text-red-600">Out of Stock</Badge>
+            ) : isLowStock ? (
+              <Badge variant="secondary" className="bg-amber-50 text-amber-600">
+                Only {soldAs.stock} left in stock
+              </Badge>
+            ) : (
+              <Badge variant="secondary" className="bg-green-50 text-green-600">In Stock</Badge>
+            )}
+          </div>
+
+          <VariantSelector product={product} value={selection} onChange={setSelection} />
+
+          <div className="flex items-center gap-4">
+            <QuantityPicker
+              value={quantity}
+              onChange={setQuantity}
+              max={typeof soldAs.stock === "number" ? soldAs.stock : undefined}
+              disabled={isOutOfStock || adding}
+            />
+            <Button
+              onClick={handleAddToCart}
+              disabled={isOutOfStock || needsVariant || adding}
+              className="flex-1 h-12 gold-gradient text-white text-lg font-semibold"
+            >
+              {adding ? (
+                "Adding..."
+              ) : isOutOfStock ? (
+                "Out of Stock"
+              ) : needsVariant ? (
+                "Select Options"
+              ) : (
+                <>
+                  <ShoppingCart className="w-5 h-5 mr-2" />
+                  Add to Cart
+                </>
+              )}
+            </Button>
+            <Button
+              variant="outline"
+              size="icon"
+              className="h-12 w-12"
+              onClick={() => toggleWishlist(product)}
+            >
+              <Heart className={`w-5 h-5 ${isWishlisted(product.id) ? 'fill-red-500 text-red-500' : 'text-gray-600'}`} />
+            </Button>
+          </div>
+
+          <StockAlertActions product={product} variant={variant} isOutOfStock={isOutOfStock} />
+
+          <Separator />
+
+          {product.description && (
+            <div className="space-y-2">
+              <h2 className="text-lg font-semibold text-gray-900">Description</h2>
+              <p className="text-gray-600 whitespace-pre-line leading-relaxed">{product.description}</p>
+            </div>
+          )}
+
+          {product.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {product.tags.map((tag) => (
+                <Badge key={tag} variant="secondary" className="text-xs">
+                  {tag}
+                </Badge>
+              ))}
+            </div>
+          )}
+        </motion.div>
+      </div>
+
+      <Separator className="my-12" />
+
+      <ReviewSection product={product} onStatsChange={handleReviewStats} />
+    </div>
+  );
+}
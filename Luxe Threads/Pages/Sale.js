@@ -0,0 +1,8 @@
+import React from "react";
+
+import CollectionView from "../components/shop/CollectionView";
+import { SALE_COLLECTION } from "../components/shop/collections";
+
+export default function Sale() {
+  return <CollectionView collection={SALE_COLLECTION} />;
+}
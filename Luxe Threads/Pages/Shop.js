@@ -1,8 +1,5 @@
 
-import React, { useState, useEffect, useCallback } from "react";
-import { Product } from "@/entities/Product";
-import { CartItem } from "@/entities/CartItem";
-import { User } from "@/entities/User";
+import React, { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select";
@@ -10,6 +7,8 @@ import { Search, Grid, List, SlidersHorizontal } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { useToast } from "@/components/ui/use-toast";
 import { Skeleton } from "@/components/ui/skeleton";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { createPageUrl } from "@/utils";
 import {
   Sheet,
   SheetContent,
@@ -18,186 +17,178 @@ import {
 
 import ProductCard from "../components/shop/ProductCard";
 import ProductFilters from "../components/shop/ProductFilters";
+import { DEFAULT_FILTERS, matchesFilters } from "../components/shop/catalogFacets";
+import { SEARCH_CANDIDATE_LIMIT, fetchProductPage, loadFacetSource, searchCatalog } from "../components/shop/catalogQuery";
+import { parseShopState, serializeShopState, getDefaultSort, DEFAULT_SORT } from "../components/shop/shopUrlState";
+import useWishlist from "../components/wishlist/useWishlist";
+import useQuickAdd from "../components/shop/useQuickAdd";
+import useCart from "../components/cart/useCart";
+import RecentlyViewed from "../components/recommendations/RecentlyViewed";
+
+const SEARCH_DEBOUNCE_MS = 300;
 
 export default function Shop() {
   const { toast } = useToast();
+  const navigate = useNavigate();
+  const { isWishlisted, toggleWishlist } = useWishlist();
+  const handleAddToCart = useQuickAdd();
+  const { user, loading: cartLoading } = useCart();
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  const [facetProducts, setFacetProducts] = useState([]);
+  // Set when the search matched more products than are ranked
+  const [searchCapped, setSearchCapped] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [searchTerm, setSearchTerm] = useState("");
-  const [sortBy, setSortBy] = useState("name");
-  const [viewMode, setViewMode] = useState("grid");
-  const [user, setUser] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [isFiltersOpen, setIsFiltersOpen] = useState(false);
-  
-  const [filters, setFilters] = useState({
-    categories: [],
-    brands: [],
-    priceRange: [0, 1000],
-    inStock: false
-  });
 
-  const loadUser = useCallback(async () => {
-    try {
-      const currentUser = await User.me();
-      setUser(currentUser);
-    } catch (error) {
-      // User not logged in
+  // The query string is the source of truth for search, filters, sort and
+  // view so any state can be bookmarked, shared and walked with back/forward.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const queryString = searchParams.toString();
+  const shopState = useMemo(() => parseShopState(queryString), [queryString]);
+  const { sortBy, viewMode } = shopState;
+  // Re-parsing yields a new object on every URL change (even a view toggle);
+  // key it by content so the product query only re-runs when filters change.
+  const filtersKey = JSON.stringify(shopState.filters);
+  const filters = useMemo(() => JSON.parse(filtersKey), [filtersKey]);
+  const debouncedSearch = shopState.searchTerm;
+  const [searchTerm, setSearchTerm] = useState(shopState.searchTerm);
+  const lastWrittenSearchRef = useRef(shopState.searchTerm);
+  const requestIdRef = useRef(0);
+  const loadMoreRef = useRef(null);
+
+  const updateShopState = useCallback((changes, { replace = false } = {}) => {
+    const nextState = { ...shopState, ...changes };
+    lastWrittenSearchRef.current = nextState.searchTerm;
+    setSearchParams(serializeShopState(nextState), { replace });
+  }, [shopState, setSearchParams]);
+
+  // Dragging the price slider fires many updates; keep those out of history
+  const setFilters = useCallback((nextFilters) => {
+    const onlyPriceChanged = Object.keys(nextFilters).every(key =>
+      key === "priceRange" || nextFilters[key] === filters[key]
+    );
+    updateShopState({ filters: nextFilters }, { replace: onlyPriceChanged });
+  }, [filters, updateShopState]);
+
+  const setSortBy = (value) => updateShopState({ sortBy: value });
+  const setViewMode = (value) => updateShopState({ viewMode: value });
+
+  // Pick up searches changed through history navigation or a pasted link
+  useEffect(() => {
+    if (shopState.searchTerm !== lastWrittenSearchRef.current) {
+      setSearchTerm(shopState.searchTerm);
     }
-  }, []);
+    lastWrittenSearchRef.current = shopState.searchTerm;
+  }, [shopState.searchTerm]);
+
+  useEffect(() => {
+    const trimmed = searchTerm.trim();
+    if (trimmed === shopState.searchTerm) return;
+    // A sort the shopper never picked follows the search: relevance while
+    // searching, name order without one
+    const sortBy = shopState.sortBy === getDefaultSort(shopState.searchTerm)
+      ? getDefaultSort(trimmed)
+      : shopState.sortBy;
+    const timeout = setTimeout(
+      () => updateShopState({ searchTerm: trimmed, sortBy }, { replace: true }),
+      SEARCH_DEBOUNCE_MS
+    );
+    return () => clearTimeout(timeout);
+  }, [searchTerm, shopState.searchTerm, shopState.sortBy, updateShopState]);
 
-  const loadProducts = useCallback(async () => {
-    setLoading(true);
+  // Responses from superseded queries are dropped so a slow page for an old
+  // search can never overwrite the results of the current one.
+  const loadProducts = useCallback(async (cursor = null) => {
+    const requestId = ++requestIdRef.current;
+    if (cursor) {
+      setLoadingMore(true);
+    } else {
+      setLoading(true);
+    }
     try {
-      const data = await Product.list();
-      setProducts(data);
+      const page = await fetchProductPage({ searchTerm: debouncedSearch, filters, sortBy, cursor });
+      if (requestId !== requestIdRef.current) return;
+      setProducts(prev => (cursor ? [...prev, ...page.products] : page.products));
+      setNextCursor(page.nextCursor);
     } catch (error) {
+      if (requestId !== requestIdRef.current) return;
       toast({
         title: "Error",
         description: "Failed to load products",
         variant: "destructive",
       });
     } finally {
-      setLoading(false);
-    }
-  }, [toast]);
-
-  const applyFilters = useCallback(() => {
-    let filtered = [...products];
-
-    // Search filter
-    if (searchTerm) {
-      filtered = filtered.filter(product =>
-        product.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        product.description?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        product.brand?.toLowerCase().includes(searchTerm.toLowerCase())
-      );
-    }
-
-    // Category filter
-    if (filters.categories.length > 0) {
-      filtered = filtered.filter(product =>
-        filters.categories.includes(product.category)
-      );
-    }
-
-    // Brand filter
-    if (filters.brands.length > 0) {
-      filtered = filtered.filter(product =>
-        filters.brands.includes(product.brand)
-      );
-    }
-
-    // Price filter
-    if (filters.priceRange) {
-      filtered = filtered.filter(product =>
-        product.price >= filters.priceRange[0] &&
-        product.price <= filters.priceRange[1]
-      );
-    }
-
-    // Stock filter
-    if (filters.inStock) {
-      filtered = filtered.filter(product => product.stock > 0);
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setLoadingMore(false);
+      }
     }
+  }, [debouncedSearch, filters, sortBy, toast]);
 
-    // Sort
-    filtered.sort((a, b) => {
-      switch (sortBy) {
-        case 'price-low':
-          return a.price - b.price;
-        case 'price-high':
-          return b.price - a.price;
-        case 'rating':
-          return (b.rating || 0) - (a.rating || 0);
-        case 'newest':
-          return new Date(b.created_date) - new Date(a.created_date);
-        default:
-          return a.name.localeCompare(b.name);
+  // Facets are counted over what the search matched, or the whole catalog
+  // without one; each facet then excludes its own selection when counting.
+  useEffect(() => {
+    let cancelled = false;
+    const loadFacets = async () => {
+      try {
+        const data = debouncedSearch
+          ? await searchCatalog(debouncedSearch)
+          : { products: await loadFacetSource(), capped: false };
+        if (!cancelled) {
+          setFacetProducts(data.products);
+          setSearchCapped(data.capped);
+        }
+      } catch (error) {
+        console.error("Failed to load filter facets:", error);
       }
-    });
+    };
+    loadFacets();
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedSearch]);
 
-    setFilteredProducts(filtered);
-  }, [products, searchTerm, filters, sortBy]);
+  const totalProducts = useMemo(
+    () => facetProducts.filter(product => matchesFilters(product, filters)).length,
+    [facetProducts, filters]
+  );
 
   useEffect(() => {
-    loadUser();
     loadProducts();
-  }, [loadUser, loadProducts]);
+  }, [loadProducts]);
 
   useEffect(() => {
-    applyFilters();
-  }, [applyFilters]);
-
-  const handleAddToCart = async (product) => {
-    if (user) {
-      // Logged-in user logic
-      try {
-        const existingItems = await CartItem.filter({
-          user_email: user.email,
-          product_id: product.id
-        });
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !nextCursor || loadingMore) return;
 
-        if (existingItems.length > 0) {
-          const existingItem = existingItems[0];
-          await CartItem.update(existingItem.id, {
-            quantity: existingItem.quantity + 1
-          });
-        } else {
-          await CartItem.create({
-            product_id: product.id,
-            quantity: 1,
-            user_email: user.email
-          });
-        }
-        toast({
-          title: "Added to cart",
-          description: `${product.name} has been added to your cart`,
-        });
-      } catch (error) {
-        toast({
-          title: "Error",
-          description: "Failed to add item to cart",
-          variant: "destructive",
-        });
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadProducts(nextCursor);
       }
-    } else {
-      // Anonymous user logic
-      const anonymousCart = JSON.parse(localStorage.getItem('anonymousCart') || '[]');
-      const existingItemIndex = anonymousCart.findIndex(item => item.product_id === product.id);
+    }, { rootMargin: "400px" });
 
-      if (existingItemIndex > -1) {
-        anonymousCart[existingItemIndex].quantity += 1;
-      } else {
-        anonymousCart.push({ product_id: product.id, quantity: 1, name: product.name, price: product.price, image_url: product.image_url, brand: product.brand });
-      }
-      localStorage.setItem('anonymousCart', JSON.stringify(anonymousCart));
-      
-      toast({
-        title: "Added to cart",
-        description: `${product.name} has been added to your cart`,
-      });
-    }
-    // Notify layout and other components that cart has changed
-    window.dispatchEvent(new CustomEvent('cartUpdated'));
-  };
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [nextCursor, loadingMore, loadProducts]);
 
   const handleProductClick = (product) => {
-    // Would navigate to product detail page
-    console.log("Product clicked:", product);
+    navigate(`${createPageUrl("ProductDetail")}?id=${product.id}`);
   };
 
   const clearFilters = () => {
-    setFilters({
-      categories: [],
-      brands: [],
-      priceRange: [0, 1000],
-      inStock: false
-    });
+    lastWrittenSearchRef.current = "";
     setSearchTerm("");
+    setSearchParams(serializeShopState({
+      searchTerm: "",
+      filters: DEFAULT_FILTERS,
+      sortBy: DEFAULT_SORT,
+      viewMode
+    }));
   };
 
-  if (loading) {
+  if (loading && products.length === 0 && facetProducts.length === 0) {
     return (
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
         <div className="grid lg:grid-cols-4 gap-8">
@@ -234,6 +225,8 @@ export default function Shop() {
         </p>
       </motion.div>
 
+      {!cartLoading && <RecentlyViewed user={user} className="mb-12" />}
+
       {/* Search and Controls */}
       <div className="flex flex-col lg:flex-row gap-6 mb-8">
         <div className="flex-1 relative">
@@ -252,6 +245,7 @@ export default function Shop() {
               <SelectValue placeholder="Sort by" />
             </SelectTrigger>
             <SelectContent>
+              <SelectItem value="relevance">Relevance</SelectItem>
               <SelectItem value="name">Name A-Z</SelectItem>
               <SelectItem value="price-low">Price: Low to High</SelectItem>
               <SelectItem value="price-high">Price: High to Low</SelectItem>
@@ -289,8 +283,9 @@ export default function Shop() {
               <ProductFilters
                 filters={filters}
                 onFiltersChange={setFilters}
-                totalProducts={filteredProducts.length}
+                totalProducts={totalProducts}
                 onClearFilters={clearFilters}
+                products={facetProducts}
               />
             </SheetContent>
           </Sheet>
@@ -303,14 +298,21 @@ export default function Shop() {
           <ProductFilters
             filters={filters}
             onFiltersChange={setFilters}
-            totalProducts={filteredProducts.length}
+            totalProducts={totalProducts}
             onClearFilters={clearFilters}
+            products={facetProducts}
           />
         </div>
 
         {/* Products Grid */}
         <div className="lg:col-span-3">
-          {filteredProducts.length === 0 ? (
+          {searchCapped && (
+            <p className="mb-6 rounded-lg border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+              "{debouncedSearch}" matches more than {SEARCH_CANDIDATE_LIMIT} products, so only the
+              best-rated {SEARCH_CANDIDATE_LIMIT} are shown. Add another word to narrow your search.
+            </p>
+          )}
+          {!loading && products.length === 0 ? (
             <motion.div
               initial={{ opacity: 0 }}
               animate={{ opacity: 1 }}
@@ -339,17 +341,32 @@ export default function Shop() {
                     : "space-y-6"
                 }
               >
-                {filteredProducts.map((product) => (
+                {products.map((product) => (
                   <ProductCard
                     key={product.id}
                     product={product}
                     onAddToCart={handleAddToCart}
                     onProductClick={handleProductClick}
+                    isWishlisted={isWishlisted(product.id)}
+                    onToggleWishlist={toggleWishlist}
+                    highlightQuery={debouncedSearch}
                   />
                 ))}
               </motion.div>
             </AnimatePresence>
           )}
+
+          {nextCursor && (
+            <div ref={loadMoreRef} className="flex justify-center py-8">
+              <Button
+                variant="outline"
+                onClick={() => loadProducts(nextCursor)}
+                disabled={loadingMore}
+              >
+                {loadingMore ? "Loading..." : "Load more"}
+              </Button>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from "react";
+import { Product } from "@/entities/Product";
+import { Button } from "@/components/ui/button";
+import { Card, CardContent } from "@/components/ui/card";
+import { Heart, ShoppingCart, Trash2, ArrowLeft } from "lucide-react";
+import { motion, AnimatePresence } from "framer-motion";
+import { useToast } from "@/components/ui/use-toast";
+import { Link, useNavigate } from "react-router-dom";
+import { createPageUrl } from "@/utils";
+
+import useWishlist from "../components/wishlist/useWishlist";
+import { getStockMessage } from "../components/cart/stockLimits";
+import useCart from "../components/cart/useCart";
+import { hasVariants } from "../components/shop/productVariants";
+import useCurrency from "../components/currency/useCurrency";
+
+export default function Wishlist() {
+  const { toast } = useToast();
+  const navigate = useNavigate();
+  const { items, loading, removeFromWishlist } = useWishlist();
+  const { addToCart } = useCart();
+  const { formatPrice } = useCurrency();
+  const [products, setProducts] = useState({});
+  const [moving, setMoving] = useState({});
+
+  useEffect(() => {
+    const loadProducts = async () => {
+      const productIds = [...new Set(items.map(item => item.product_id))];
+      if (productIds.length === 0) {
+        setProducts({});
+        return;
+      }
+      try {
+        const productList = await Product.filter({ id: productIds });
+        const productMap = {};
+        productList.forEach(product => {
+          productMap[product.id] = product;
+        });
+        setProducts(productMap);
+      } catch (error) {
+        console.error("Failed to load wishlist products:", error);
+      }
+    };
+    loadProducts();
+  }, [items]);
+
+  const moveToCart = async (product) => {
+    // The wishlist does not record a size or color; pick one on the product page
+    if (hasVariants(product)) {
+      navigate(`${createPageUrl("ProductDetail")}?id=${product.id}`);
+      toast({
+        title: "Choose your options",
+        description: `Select a size and color for ${product.name} to add it to your cart`,
+      });
+      return;
+    }
+    setMoving(prev => ({ ...prev, [product.id]: true }));
+    try {
+      const { added, quantityInCart } = await addToCart(product);
+      if (added < 1) {
+        throw new Error(getStockMessage(product, quantityInCart));
+      }
+      await removeFromWishlist(product.id);
+      toast({
+        title: "Moved to cart",
+        description: `${product.name} has been moved to your cart`,
+      });
+    } catch (error) {
+      toast({
+        title: "Error",
+        description: error.message || "Failed to move item to cart",
+        variant: "destructive",
+      });
+    } finally {
+      setMoving(prev => ({ ...prev, [product.id]: false }));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="flex items-center justify-center h-64">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-gray-900 mx-auto"></div>
+            <p className="mt-4 text-lg font-medium">Loading your wishlist...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (items.length === 0) {
+    return (
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-16">
+        <div className="text-center">
+          <div className="w-32 h-32 mx-auto mb-6 bg-gray-100 rounded-full flex items-center justify-center">
+            <Heart className="w-16 h-16 text-gray-400" />
+          </div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-4">Your wishlist is empty</h2>
+          <p className="text-gray-600 mb-8">
+            Tap the heart on any product to save it for later.
+          </p>
+          <Link to={createPageUrl("Shop")}>
+            <Button className="gold-gradient text-white">
+              Start Shopping
+            </Button>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      <div className="flex items-center gap-4 mb-8">
+        <Link to={createPageUrl("Shop")}>
+          <Button variant="ghost" size="icon">
+            <ArrowLeft className="w-5 h-5" />
+          </Button>
+        </Link>
+        <h1 className="text-3xl font-bold text-gray-900">Wishlist</h1>
+        <span className="text-sm text-gray-500">({items.length} items)</span>
+      </div>
+
+      <div className="space-y-4">
+        <AnimatePresence>
+          {items.map((item) => {
+            // Guest entries carry their own product copy until the catalog responds
+            const product = products[item.product_id] || (item.name && { id: item.product_id, ...item });
+            if (!product) return null;
+            const isOutOfStock = product.stock === 0;
+            const isUnavailable = Boolean(product.archived);
+
+            return (
+              <motion.div
+                key={item.id}
+                initial={{ opacity: 0, y: 20 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, y: -20 }}
+                layout
+              >
+                <Card className="premium-card border-0">
+                  <CardContent className="p-6">
+                    <div className="flex gap-6 items-center">
+                      <img
+                        src={product.image_url}
+                        alt={product.name}
+                        className="w-24 h-24 object-cover rounded-lg cursor-pointer"
+                        onClick={() => navigate(`${createPageUrl("ProductDetail")}?id=${product.id}`)}
+                      />
+                      <div className="flex-1">
+                        <p className="text-sm text-gray-500">{product.brand}</p>
+                        <h3 className="font-semibold text-lg text-gray-900">{product.name}</h3>
+                        <p className="font-bold text-lg">{formatPrice(product.price)}</p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Button
+                          onClick={() => moveToCart(product)}
+                          disabled={moving[product.id] || isOutOfStock || isUnavailable}
+                          className="bg-black hover:bg-gray-800 text-white"
+                        >
+                          {isUnavailable ? (
+                            "No Longer Available"
+                          ) : isOutOfStock ? (
+                            "Out of Stock"
+                          ) : (
+                            <>
+                              <ShoppingCart className="w-4 h-4 mr-2" />
+                              Move to Cart
+                            </>
+                          )}
+                        </Button>
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          className="text-red-500 hover:text-red-600 hover:bg-red-50"
+                          onClick={() => removeFromWishlist(product.id)}
+                          disabled={moving[product.id]}
+                        >
+                          <Trash2 className="w-5 h-5" />
+                        </Button>
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              </motion.div>
+            );
+          })}
+        </AnimatePresence>
+      </div>
+    </div>
+  );
+}
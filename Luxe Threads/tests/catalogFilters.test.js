@@ -0,0 +1,84 @@
+// node --experimental-default-type=module --test "Luxe Threads/tests/catalogFilters.test.js"
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_FILTERS, buildFacets, buildProductQuery, matchesFilters } from "../Components/shop/catalogFacets";
+import { matchesQuery } from "./queryMatcher.js";
+
+const variant = (sku, size, color, stock, price) => ({ sku, size, color, stock, ...(price === undefined ? {} : { price }) });
+
+const PRODUCTS = [
+  { id: "plain", category: "home", brand: "Acme", tags: ["gift"], price: 80, stock: 4, rating: 4.5 },
+  { id: "plain-sold-out", category: "home", brand: "Acme", price: 40, stock: 0, rating: 3 },
+  { id: "plain-empty-variants", category: "fashion", brand: "Nord", price: 120, stock: 2, variants: [] },
+  {
+    id: "red-s-blue-m", category: "fashion", brand: "Nord", tags: ["gift", "wool"], price: 90, stock: 6, rating: 4,
+    variants: [variant("RS", "S", "Red", 3), variant("BM", "M", "Blue", 3)]
+  },
+  {
+    id: "red-m-sold-out", category: "fashion", brand: "Acme", price: 60, stock: 2, rating: 2,
+    variants: [variant("RM", "M", "Red", 0), variant("RL", "L", "Red", 2)]
+  },
+  {
+    id: "variant-prices", category: "fashion", brand: "Vela", tags: ["wool"], price: 150, stock: 5, rating: 5,
+    variants: [variant("SM", "M", "Black", 5, 75), variant("SL", "L", "Black", 0, 95), variant("SXL", "XL", "Black", 0)]
+  },
+  { id: "archived", category: "home", brand: "Acme", price: 80, stock: 4, archived: true }
+];
+
+const LIVE = PRODUCTS.filter(product => !product.archived);
+
+const localIds = (filters) => LIVE.filter(product => matchesFilters(product, filters)).map(product => product.id);
+const serverIds = (filters) => {
+  const query = buildProductQuery(filters);
+  return PRODUCTS.filter(product => matchesQuery(product, query)).map(product => product.id);
+};
+
+const FILTER_CASES = [];
+[[], ["M"], ["S", "M"], ["XL"]].forEach(sizes => {
+  [[], ["Red"], ["Black"]].forEach(colors => {
+    [null, [50, 100], [140, 200]].forEach(priceRange => {
+      [false, true].forEach(inStock => {
+        FILTER_CASES.push({ ...DEFAULT_FILTERS, sizes, colors, priceRange, inStock });
+      });
+    });
+  });
+});
+FILTER_CASES.push(
+  { ...DEFAULT_FILTERS, categories: ["fashion"], sizes: ["M"] },
+  { ...DEFAULT_FILTERS, brands: ["Acme"], inStock: true },
+  { ...DEFAULT_FILTERS, tags: ["wool"], priceRange: [70, 80] },
+  { ...DEFAULT_FILTERS, minRating: 4, colors: ["Blue"] }
+);
+
+test("local and server filters select the same products", () => {
+  FILTER_CASES.forEach(filters => {
+    assert.deepEqual(localIds(filters), serverIds(filters), JSON.stringify(filters));
+  });
+});
+
+test("size and color must match on the same variant", () => {
+  const filters = { ...DEFAULT_FILTERS, sizes: ["M"], colors: ["Red"] };
+  assert.deepEqual(localIds(filters), ["red-m-sold-out"]);
+  assert.deepEqual(serverIds(filters), ["red-m-sold-out"]);
+});
+
+test("in stock only checks the matching variant's stock", () => {
+  const filters = { ...DEFAULT_FILTERS, sizes: ["M"], colors: ["Red"], inStock: true };
+  assert.deepEqual(localIds(filters), []);
+  assert.deepEqual(serverIds(filters), []);
+});
+
+test("price range uses variant price overrides", () => {
+  const filters = { ...DEFAULT_FILTERS, priceRange: [70, 80] };
+  assert.deepEqual(localIds(filters), ["plain", "variant-prices"]);
+  assert.deepEqual(serverIds(filters), ["plain", "variant-prices"]);
+
+  const fallback = { ...DEFAULT_FILTERS, sizes: ["XL"], priceRange: [140, 160] };
+  assert.deepEqual(localIds(fallback), ["variant-prices"]);
+});
+
+test("size and color facets only count variants passing the other filters", () => {
+  const facets = buildFacets(LIVE, { ...DEFAULT_FILTERS, colors: ["Red"], inStock: true });
+  assert.deepEqual(facets.sizes, [{ id: "S", count: 1 }, { id: "L", count: 1 }]);
+  assert.deepEqual(facets.priceBounds, [40, 150]);
+});
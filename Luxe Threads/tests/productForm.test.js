@@ -0,0 +1,59 @@
+// node --experimental-default-type=module --test "Luxe Threads/tests/productForm.test.js"
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EMPTY_PRODUCT_FORM, fromProductForm, toProductForm, toSortName, validateProduct } from "../Components/admin/productForm";
+
+const PRODUCT = {
+  name: "Linen Shirt",
+  category: "fashion",
+  price: 80,
+  stock: 7,
+  variants: [
+    { sku: "LS-S-WHT", size: "S", color: "White", stock: 3 },
+    { sku: "LS-M-WHT", size: "M", color: "White", stock: 4, price: 85 }
+  ]
+};
+
+const withVariants = (variants) => ({ ...toProductForm(PRODUCT), variants });
+
+test("variants round-trip through the form and set the total stock", () => {
+  const form = toProductForm(PRODUCT);
+  assert.deepEqual(validateProduct(form), {});
+  const data = fromProductForm({ ...form, variants: [...form.variants, { sku: " LS-L-WHT ", size: "L", color: "White", stock: "5", price: "" }] });
+  assert.deepEqual(data.variants, [...PRODUCT.variants, { sku: "LS-L-WHT", size: "L", color: "White", stock: 5 }]);
+  assert.equal(data.stock, 12);
+});
+
+test("variant rows are checked one by one", () => {
+  const errors = validateProduct(withVariants([
+    { sku: "", size: "S", color: "", stock: "1", price: "" },
+    { sku: "A", size: "", color: "", stock: "1.5", price: "-2" },
+    { sku: "A", size: "S", color: "", stock: "", price: "" }
+  ]));
+  assert.deepEqual(errors, {
+    "variants.0.sku": "SKU is required",
+    "variants.1.size": "Enter a size, a color or both",
+    "variants.1.stock": "Stock must be a whole number of 0 or more",
+    "variants.1.price": "Price must be a positive number",
+    "variants.2.sku": "Another variant already uses this SKU",
+    "variants.2.size": "Another variant already has this size and color"
+  });
+});
+
+test("a product without variants keeps its own stock", () => {
+  const data = fromProductForm({ ...EMPTY_PRODUCT_FORM, name: "Mug", category: "home", price: "12", stock: "9" });
+  assert.deepEqual(data.variants, []);
+  assert.equal(data.stock, 9);
+});
+
+test("stored variants, as an import validates them, are accepted", () => {
+  const stored = { ...PRODUCT, price: "80", variants: [{ sku: "LS-ONE", size: "One Size", stock: 2, price: 90 }] };
+  assert.deepEqual(validateProduct(stored), {});
+});
+
+test("byte order of sort names follows the storefront's localeCompare name order", () => {
+  const names = ["Zebra Tote", "apple Watch Strap", "Élan Scarf", "eclipse Ring", "Atlas Lamp", "ébène Vase"];
+  const byLocale = [...names].sort((a, b) => a.localeCompare(b));
+  const bySortName = [...names].sort((a, b) => (toSortName(a) < toSortName(b) ? -1 : toSortName(a) > toSortName(b) ? 1 : 0));
+  assert.deepEqual(bySortName, byLocale);
+});
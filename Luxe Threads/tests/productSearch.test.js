@@ -0,0 +1,69 @@
+// node --experimental-default-type=module --test "Luxe Threads/tests/productSearch.test.js"
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSearchQuery, scoreProduct, tokenize } from "../Components/shop/productSearch";
+import { matchesQuery } from "./queryMatcher.js";
+
+const PRODUCTS = [
+  { id: "bag", name: "Leather Weekender Bag", brand: "Maison Vela", category: "fashion", tags: ["leather", "travel"], description: "Full-grain leather with brass hardware." },
+  { id: "lamp", name: "Brass Table Lamp", brand: "Lumen", category: "home", tags: ["lighting"], description: "Warm light for reading." },
+  { id: "scarf", name: "Cashmere Scarf", brand: "Nord", category: "fashion", tags: ["winter", "gift"], description: "Soft and light." },
+  { id: "cafe", name: "Café Crème Candle", brand: "Atelier Doré", category: "home", tags: ["fragrance"], description: "Notes of coffee and vanilla." },
+  { id: "book", name: "The Pocket Atlas", brand: "Harbor Press", category: "books", description: "Maps of 120 cities." }
+];
+
+const serverIds = (query) => {
+  const serverQuery = buildSearchQuery(query);
+  return PRODUCTS.filter(product => matchesQuery(product, serverQuery)).map(product => product.id);
+};
+
+const rankedIds = (query) => {
+  const terms = tokenize(query);
+  return PRODUCTS.filter(product => scoreProduct(product, terms) > 0).map(product => product.id);
+};
+
+const oneTypoVariants = (word) => {
+  const variants = new Set();
+  for (let i = 0; i <= word.length; i++) {
+    variants.add(word.slice(0, i) + "q" + word.slice(i));
+    if (i < word.length) {
+      variants.add(word.slice(0, i) + word.slice(i + 1));
+      variants.add(word.slice(0, i) + "q" + word.slice(i + 1));
+    }
+    if (i < word.length - 1) {
+      variants.add(word.slice(0, i) + word[i + 1] + word[i] + word.slice(i + 2));
+    }
+  }
+  return [...variants];
+};
+
+// Every prefix of every word, with each single typo and, for longer words, each pair
+const QUERIES = [...new Set(PRODUCTS.flatMap(product =>
+  tokenize(`${product.name} ${product.brand} ${product.description} ${(product.tags || []).join(" ")}`)
+))].flatMap(word => {
+  const queries = [];
+  for (let length = 2; length <= word.length; length++) {
+    const prefix = word.slice(0, length);
+    const variants = oneTypoVariants(prefix);
+    queries.push(prefix, ...variants);
+    if (prefix.length >= 7) variants.forEach(variant => queries.push(...oneTypoVariants(variant)));
+  }
+  return queries;
+});
+
+test("the server first pass keeps every product the ranking accepts", () => {
+  QUERIES.forEach(query => {
+    const server = serverIds(query);
+    rankedIds(query).forEach(id => assert.ok(server.includes(id), `${query} should keep ${id}`));
+  });
+});
+
+test("category labels and accents are matched", () => {
+  assert.ok(serverIds("living").includes("lamp"));
+  assert.ok(serverIds("creme cafe").includes("cafe"));
+});
+
+test("the server first pass narrows the catalog", () => {
+  assert.deepEqual(serverIds("lamp"), ["lamp"]);
+  assert.deepEqual(serverIds("cashmere gift"), ["scarf"]);
+});
@@ -0,0 +1,36 @@
+// Just enough of the database's query language to run the storefront's
+// server queries against plain objects
+const readPath = (doc, path) =>
+  path.split(".").reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), doc);
+
+const anyValue = (value, check) => (Array.isArray(value) ? value.some(check) || check(value) : check(value));
+
+const OPERATORS = {
+  $in: (value, list) => anyValue(value, item => list.includes(item)),
+  $ne: (value, other) => !anyValue(value, item => item === other),
+  $gt: (value, bound) => anyValue(value, item => typeof item === "number" && item > bound),
+  $gte: (value, bound) => anyValue(value, item => typeof item === "number" && item >= bound),
+  $lte: (value, bound) => anyValue(value, item => typeof item === "number" && item <= bound),
+  $exists: (value, exists) => (value !== undefined) === exists,
+  $elemMatch: (value, query) => Array.isArray(value) && value.some(item => matchesQuery(item, query)),
+  $regex: (value, pattern, condition) => {
+    const regex = new RegExp(pattern, condition.$options || "");
+    return anyValue(value, item => typeof item === "string" && regex.test(item));
+  },
+  $options: () => true
+};
+
+const matchesCondition = (value, condition) => {
+  if (condition && typeof condition === "object" && !Array.isArray(condition)) {
+    return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand, condition));
+  }
+  if (condition === null) return value === undefined || value === null;
+  return anyValue(value, item => item === condition);
+};
+
+export const matchesQuery = (doc, query) =>
+  Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some(part => matchesQuery(doc, part));
+    if (key === "$and") return condition.every(part => matchesQuery(doc, part));
+    return matchesCondition(readPath(doc, key), condition);
+  });
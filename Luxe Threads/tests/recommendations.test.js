@@ -0,0 +1,33 @@
+// node --experimental-default-type=module --test "Luxe Threads/tests/recommendations.test.js"
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildCandidateQuery, scoreRelated } from "../Components/recommendations/recommendations";
+import { matchesQuery } from "./queryMatcher.js";
+
+const CATALOG = [
+  { id: "tote", category: "fashion", brand: "Vela", tags: ["Leather ", "travel"], price: 180 },
+  { id: "belt", category: "fashion", brand: "Nord", tags: ["leather"], price: 60 },
+  { id: "lamp", category: "home", brand: "Lumen", tags: ["lighting"], price: 90 },
+  { id: "mug", category: "home", brand: "Vela", tags: [], price: 20 },
+  { id: "atlas", category: "books", brand: "Harbor", tags: ["travel.guide"], price: 30 }
+];
+
+const SEED_SETS = [
+  [{ id: "bag", category: "accessories", brand: "Maison", tags: ["LEATHER"], price: 200 }],
+  [{ id: "candle", category: "home", brand: "Atelier", tags: [], price: 40 }],
+  [{ id: "scarf", category: "gifts", brand: "Vela", tags: ["travel.guide"] }],
+  [{ id: "pen", category: "office", brand: "Inkwell", tags: ["travelXguide"] }]
+];
+
+test("the candidate query keeps every product that scores against the seeds", () => {
+  SEED_SETS.forEach(seeds => {
+    const query = buildCandidateQuery(seeds);
+    const scored = CATALOG.filter(product => seeds.some(seed => scoreRelated(seed, product) > 0));
+    const candidates = query ? CATALOG.filter(product => matchesQuery(product, query)) : [];
+    assert.deepEqual(candidates.map(product => product.id), scored.map(product => product.id), JSON.stringify(seeds));
+  });
+});
+
+test("seeds with nothing to compare give no query", () => {
+  assert.equal(buildCandidateQuery([{ id: "plain", tags: [] }]), null);
+});